@@ -5,22 +5,57 @@
  */
 import serviceManager from '../services/llm-service-manager.js';
 import serviceConfig from '../services/config.js';
+import { AppError, ErrorType } from '../services/error-handler.js';
+import { formatRecoveryPrompt } from '../services/prompt-templates.js';
+import { describeCommand } from '../services/command-descriptions.js';
+import { assertUrlAllowed } from '../services/domain-policy.js';
+import { redactPageContext, concealSecrets, concealValue, containsPersonalData, revealSecrets, pickUsedSecrets, hideSecrets } from '../services/redaction.js';
+import { flagInstructionText, collectKnownDomains, isKnownHost } from '../services/injection-guard.js';
+import { COMMAND_SCHEMA, validateSchema } from '../services/command-schema.js';
+import SessionStore from './session-store.js';
+import NavigationWatcher from './navigation-watcher.js';
 import { Logger, config } from '../src/shared/utils';
 
+/**
+ * Commands handled by the background script because they act on tabs rather than pages
+ */
+const TAB_ACTIONS = ['openTab', 'switchTab', 'closeTab'];
+
+/**
+ * Commands that replace the page, so later commands cannot be prepared against the current one
+ */
+const PAGE_CHANGING_ACTIONS = [...TAB_ACTIONS, 'navigate'];
+
+/**
+ * Time allowed for a navigate command's navigation to start
+ */
+const NAVIGATE_START_TIMEOUT = 5000;
+
+/**
+ * Page commands checked by the sensitive-action guard before they run
+ */
+const GUARDED_ACTIONS = ['click', 'press'];
+
+/**
+ * Time the sidebar has to answer a step confirmation before the run gives up
+ */
+const CONFIRMATION_TIMEOUT = 10 * 60 * 1000;
+
 /**
  * BrowserManager class that handles tab interaction, commands execution, and state management
  */
 class BrowserManager {
   constructor() {
     this.activeTabId = null;
-    this.sessionState = {
-      initialPrompt: null,
-      actionHistory: [],
-      lastPageContext: null
-    };
+    // Runs and sessions are keyed by the tab they started in
+    this.runs = new Map();
+    this.sessions = new Map();
+    // Step confirmations waiting for the sidebar, keyed by confirmation ID
+    this.pendingConfirmations = new Map();
     
     this.initEventListeners();
     this.initServices();
+    this.sessionReady = this.restoreSession();
   }
   
   /**
@@ -36,6 +71,12 @@ class BrowserManager {
       Logger.debug(`Active tab changed to ${this.activeTabId}`);
     });
     
+    // Drop the session of a closed tab
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      SessionStore.remove(tabId);
+      this.sessions.delete(tabId);
+    });
+    
     // Open the sidebar when the extension icon is clicked
     chrome.action.onClicked.addListener((tab) => {
       chrome.sidePanel.open({ tabId: tab.id });
@@ -48,11 +89,21 @@ class BrowserManager {
   async initServices() {
     try {
       // Load saved configuration from storage
-      const result = await this.getStorageData(['provider', 'serviceConfig', 'features']);
+      const result = await this.getStorageData(['provider', 'serviceConfig', 'features', 'automation', 'safety']);
       const savedProvider = result.provider || serviceConfig.defaultProvider;
       const savedConfig = result.serviceConfig || serviceConfig.providers[savedProvider] || {};
       const savedFeatures = result.features || {};
       
+      // Initialize automation limits
+      if (result.automation) {
+        this.applyAutomationSettings(result.automation);
+      }
+      
+      // Initialize safety guards
+      if (result.safety) {
+        this.applySafetySettings(result.safety);
+      }
+      
       // Initialize feature flags
       if (savedFeatures.detailedApiLogging !== undefined) {
         config.set('app.features.detailedApiLogging', savedFeatures.detailedApiLogging);
@@ -79,29 +130,71 @@ class BrowserManager {
     
     // Process natural language prompt
     if (request.action === 'processPrompt') {
-      // Include sender in options for progress updates
-      const options = { 
-        ...request.options || {},
-        sender
-      };
-      
-      this.handleUserPrompt(request.prompt, options)
+      this.resolveTabId(request.tabId)
+        .then(tabId => {
+          // Bind the run to its tab and include sender in options for progress updates
+          const run = this.startRun(tabId);
+          const options = { 
+            ...request.options || {},
+            sender,
+            run
+          };
+          
+          return this.handleUserPrompt(request.prompt, options)
+            .finally(() => {
+              this.finishRun(run);
+              if (options.session && !options.dryRun) {
+                SessionStore.save(options.session);
+              }
+            });
+        })
         .then(response => sendResponse(response))
         .catch(error => sendResponse({ error: error.message }));
       return true; // Indicates we'll respond asynchronously
     }
     
+    // Describe a tab's session for the sidebar
+    else if (request.action === 'getSessionInfo') {
+      this.resolveTabId(request.tabId)
+        .then(tabId => this.getSessionInfo(tabId))
+        .then(session => sendResponse({ success: true, session }))
+        .catch(error => sendResponse({ error: error.message }));
+      
+      return true;
+    }
+    
+    // Cancel the running prompt
+    else if (request.action === 'cancelPrompt') {
+      this.resolveTabId(request.tabId)
+        .then(tabId => this.cancelRun(tabId))
+        .then(cancelled => sendResponse({ success: cancelled }))
+        .catch(error => sendResponse({ error: error.message }));
+      
+      return true;
+    }
+    
+    // Answer a step confirmation shown in the sidebar
+    else if (request.action === 'confirmStepsResponse') {
+      const resolved = this.resolveConfirmation(request.id, request.decisions);
+      sendResponse({ success: resolved });
+      return false;
+    }
+    
+    // Remove dry-run highlights from a tab
+    else if (request.action === 'clearPreview') {
+      this.resolveTabId(request.tabId)
+        .then(tabId => this.sendMessageToTab(tabId, { action: 'clearHighlights' }, 1000))
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ error: error.message }));
+      
+      return true;
+    }
+    
     // Test LLM service connection
     else if (request.action === 'testConnection') {
-      Logger.debug('Testing service connection', request.settings);
-      
-      // Simulate API testing
-      setTimeout(() => {
-        sendResponse({
-          success: true,
-          message: 'Connection successful'
-        });
-      }, 500);
+      this.testServiceConnection(request.settings)
+        .then(result => sendResponse(result))
+        .catch(error => sendResponse({ error: error.message }));
       
       return true;
     }
@@ -118,7 +211,7 @@ class BrowserManager {
     
     // Update service configuration
     else if (request.action === 'updateServiceConfig') {
-      this.updateServiceConfig(request.provider, request.config, request.features)
+      this.updateServiceConfig(request.provider, request.config, request.features, request.automation, request.safety)
         .then(success => sendResponse({ success }))
         .catch(error => sendResponse({ error: error.message }));
       
@@ -135,6 +228,290 @@ class BrowserManager {
     }
   }
   
+  /**
+   * Rehydrate the active tab's session after a service worker restart
+   * @returns {Promise<void>}
+   */
+  async restoreSession() {
+    try {
+      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tabs.length > 0) {
+        await this.loadSessionForTab(tabs[0].id);
+      }
+    } catch (error) {
+      Logger.warn('Could not restore session:', error);
+    }
+  }
+  
+  /**
+   * Get a tab's session, loading it from storage if it is not in memory
+   * @param {number} tabId - Tab the session belongs to
+   * @returns {Promise<Object>} Session state
+   */
+  async loadSessionForTab(tabId) {
+    if (this.sessions.has(tabId)) {
+      return this.sessions.get(tabId);
+    }
+    
+    const stored = await SessionStore.load(tabId);
+    if (stored) {
+      Logger.info(`Restored session for tab ${tabId} with ${stored.actionHistory.length} actions`);
+    }
+    
+    const session = stored || SessionStore.createSession(tabId);
+    this.sessions.set(tabId, session);
+    return session;
+  }
+  
+  /**
+   * Describe a tab's session
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<Object>} Session summary
+   */
+  async getSessionInfo(tabId) {
+    await this.sessionReady;
+    const session = this.sessions.get(tabId) || await SessionStore.load(tabId);
+    return SessionStore.describe(session);
+  }
+  
+  /**
+   * Start tracking a new automation run in a tab
+   * Runs in different tabs proceed concurrently; a tab runs one prompt at a time
+   * @param {number} tabId - Tab the run starts in
+   * @returns {Object} Run state with cancellation flag and abort controller
+   */
+  startRun(tabId) {
+    const existing = this.runs.get(tabId);
+    if (existing && !existing.cancelled) {
+      throw new AppError('A run is already in progress in this tab', {
+        type: ErrorType.VALIDATION,
+        source: 'background',
+        retryable: false
+      });
+    }
+    
+    const run = {
+      cancelled: false,
+      abortController: new AbortController(),
+      // The session stays with the origin tab; tabId follows openTab/switchTab
+      originTabId: tabId,
+      tabId,
+      budget: { ...config.get('app.automation', {}) },
+      confirmSteps: Boolean(config.get('app.automation.confirmSteps', false)),
+      executeWhileStreaming: Boolean(config.get('app.automation.executeWhileStreaming', false)),
+      // Hosts the user allowed the run to navigate to
+      confirmedHosts: [],
+      // Tabs opened by openTab, which the run may close without asking
+      openedTabIds: [],
+      rounds: 0,
+      llmRequests: 0,
+      commandCount: 0,
+      startTime: Date.now()
+    };
+    
+    this.runs.set(tabId, run);
+    return run;
+  }
+  
+  /**
+   * Stop tracking a run once it has finished
+   * @param {Object} run - Run state returned by startRun
+   */
+  finishRun(run) {
+    if (this.runs.get(run.originTabId) === run) {
+      this.runs.delete(run.originTabId);
+    }
+  }
+  
+  /**
+   * Cancel the run started in, or currently working in, a tab
+   * Aborts the in-flight LLM request and stops the content script between commands
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<boolean>} Whether a run was cancelled
+   */
+  async cancelRun(tabId) {
+    const run = this.runs.get(tabId) ||
+                Array.from(this.runs.values()).find(candidate => candidate.tabId === tabId);
+    if (!run || run.cancelled) {
+      Logger.debug(`No active run to cancel in tab ${tabId}`);
+      return false;
+    }
+    
+    Logger.info(`Cancelling run started in tab ${run.originTabId}`);
+    run.cancelled = true;
+    run.abortController.abort();
+    
+    // Stop waiting for the user to confirm steps of this run
+    for (const [id, pending] of this.pendingConfirmations) {
+      if (pending.run === run) {
+        this.pendingConfirmations.delete(id);
+        pending.reject(new AppError('Run cancelled by user', {
+          type: ErrorType.CANCELLED,
+          source: 'background',
+          retryable: false
+        }));
+      }
+    }
+    
+    try {
+      await this.sendMessageToTab(run.tabId, { action: 'cancelCommands' }, 1000);
+    } catch (error) {
+      Logger.debug(`Could not notify content script of cancellation: ${error.message}`);
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Throw a cancellation error if the run has been cancelled
+   * @param {Object} run - Run state returned by startRun
+   */
+  throwIfCancelled(run) {
+    if (run && run.cancelled) {
+      throw new AppError('Run cancelled by user', {
+        type: ErrorType.CANCELLED,
+        source: 'background',
+        retryable: false
+      });
+    }
+  }
+  
+  /**
+   * Throw a budget error if the run would exceed one of its limits
+   * @param {Object} run - Run state returned by startRun
+   * @param {Object} pending - Usage about to be added
+   * @param {number} pending.rounds - Rounds about to start
+   * @param {number} pending.llmRequests - LLM requests about to be sent
+   * @param {number} pending.commands - Commands about to be executed
+   */
+  enforceBudget(run, pending = {}) {
+    if (!run) return;
+    
+    const { budget } = run;
+    const checks = [
+      { limit: 'maxRounds', label: 'continuation rounds', used: run.rounds + (pending.rounds || 0) },
+      { limit: 'maxLlmRequests', label: 'LLM requests', used: run.llmRequests + (pending.llmRequests || 0) },
+      { limit: 'maxCommands', label: 'commands', used: run.commandCount + (pending.commands || 0) }
+    ];
+    
+    for (const check of checks) {
+      const max = budget[check.limit];
+      if (max > 0 && check.used > max) {
+        throw new AppError(`Run stopped: reached the limit of ${max} ${check.label}`, {
+          type: ErrorType.BUDGET_EXCEEDED,
+          source: 'background',
+          retryable: false,
+          data: { limit: check.limit, max, used: check.used }
+        });
+      }
+    }
+    
+    const elapsedSeconds = (Date.now() - run.startTime) / 1000;
+    if (budget.maxDurationSeconds > 0 && elapsedSeconds > budget.maxDurationSeconds) {
+      throw new AppError(`Run stopped: exceeded the time limit of ${budget.maxDurationSeconds}s`, {
+        type: ErrorType.BUDGET_EXCEEDED,
+        source: 'background',
+        retryable: false,
+        data: { limit: 'maxDurationSeconds', max: budget.maxDurationSeconds, used: Math.round(elapsedSeconds) }
+      });
+    }
+  }
+  
+  /**
+   * Get a snapshot of the run's budget usage for progress updates
+   * @param {Object} run - Run state returned by startRun
+   * @returns {Object|undefined} Usage and limits
+   */
+  getBudgetStatus(run) {
+    if (!run) return undefined;
+    
+    return {
+      round: run.rounds,
+      maxRounds: run.budget.maxRounds,
+      llmRequests: run.llmRequests,
+      maxLlmRequests: run.budget.maxLlmRequests,
+      commands: run.commandCount,
+      maxCommands: run.budget.maxCommands,
+      elapsedSeconds: Math.round((Date.now() - run.startTime) / 1000),
+      maxDurationSeconds: run.budget.maxDurationSeconds
+    };
+  }
+  
+  /**
+   * Apply saved automation settings to the application config
+   * @param {Object} automation - Automation settings from the sidebar
+   */
+  applyAutomationSettings(automation) {
+    config.set('app.automation', {
+      ...config.get('app.automation', {}),
+      ...automation
+    });
+    Logger.debug('Automation settings applied', config.get('app.automation'));
+  }
+  
+  /**
+   * Apply saved safety settings to the application config
+   * @param {Object} safety - Safety settings from the sidebar
+   */
+  applySafetySettings(safety) {
+    config.set('app.safety', {
+      ...config.get('app.safety', {}),
+      ...safety
+    });
+    Logger.debug('Safety settings applied', config.get('app.safety'));
+  }
+  
+  /**
+   * Get the domain policy from the safety settings
+   * @returns {Object} { allowedDomains, blockedDomains }
+   */
+  getDomainPolicy() {
+    const safety = config.get('app.safety', {});
+    return {
+      allowedDomains: safety.allowedDomains || [],
+      blockedDomains: safety.blockedDomains || []
+    };
+  }
+  
+  /**
+   * Get the regular expressions for personal data kept out of prompts
+   * @returns {string[]} Regular expression sources
+   */
+  getRedactionPatterns() {
+    return config.get('app.safety.redactionPatterns', []);
+  }
+  
+  /**
+   * Keep a filled value out of the action history when it went into a sensitive
+   * field or holds personal data; the value is kept as a session secret instead
+   * @param {Object} command - Executed command
+   * @param {Object} result - Command result, whose echoed value is replaced too
+   * @param {Object} session - Session holding the secrets
+   * @returns {Object} Command to record
+   */
+  concealFilledValue(command, result, session) {
+    if (typeof command.value !== 'string' ||
+        !(result.sensitive || containsPersonalData(command.value, this.getRedactionPatterns()))) {
+      return command;
+    }
+    
+    session.secrets = session.secrets || {};
+    const placeholder = concealValue(session.secrets, command.value);
+    if (result.value !== undefined) {
+      result.value = placeholder;
+    }
+    return { ...command, value: placeholder };
+  }
+  
+  /**
+   * Use the tab named by the sidebar, falling back to the active tab
+   * @param {number} tabId - Tab ID from the request, if any
+   * @returns {Promise<number>} Tab ID
+   */
+  async resolveTabId(tabId) {
+    return Number.isInteger(tabId) ? tabId : this.getActiveTabId();
+  }
+  
   /**
    * Get current active tab ID
    * @returns {Promise<number>} Active tab ID
@@ -166,6 +543,8 @@ class BrowserManager {
    * Handle user's natural language prompt
    * @param {string} prompt - User prompt
    * @param {Object} options - Options
+   * @param {boolean} options.resetSession - Start a new session instead of continuing the tab's
+   * @param {boolean} options.dryRun - Highlight the planned commands' targets instead of executing them
    * @returns {Promise<Object>} Result
    */
   async handleUserPrompt(prompt, options = {}) {
@@ -173,69 +552,147 @@ class BrowserManager {
       // Initialize sender for progress updates
       const sender = options.sender || null;
       
+      // Each call is one round of the run; continuations re-enter here
+      if (options.run) {
+        options.run.rounds++;
+        this.enforceBudget(options.run);
+      }
+      
       // Send initial progress update with default steps (will be updated later)
       this.sendProgressUpdate(sender, {
         stage: 'preparing',
         message: 'Getting page context...',
         progress: 0,
-        steps: this.getDefaultProgressSteps()
-      });
+        steps: this.getDefaultProgressSteps(),
+        budget: this.getBudgetStatus(options.run)
+      }, options.run);
       
-      // Get active tab
-      const tabId = await this.getActiveTabId();
+      // Work in the run's current tab, which openTab/switchTab may have moved
+      // away from the tab the run started in
+      const tabId = options.run?.tabId ?? await this.getActiveTabId();
+      const sessionTabId = options.run?.originTabId ?? tabId;
+      
+      // Pick up the origin tab's session, which may only exist in storage after a worker restart
+      await this.sessionReady;
+      let session = await this.loadSessionForTab(sessionTabId);
       
       // Get page context
       Logger.info('Getting page context for prompt processing');
       const pageContext = await this.getPageContext(tabId);
+      this.throwIfCancelled(options.run);
       
       // Manage session state
-      const isNewSession = !this.sessionState.initialPrompt || options.resetSession;
+      const isNewSession = !session.initialPrompt || options.resetSession;
+      if (options.dryRun) {
+        // A dry run plans against a copy so the tab's session is left untouched
+        session = isNewSession ? SessionStore.createSession(sessionTabId) :
+          { ...session, secrets: { ...session.secrets } };
+      } else if (isNewSession) {
+        session = SessionStore.createSession(sessionTabId);
+        this.sessions.set(sessionTabId, session);
+      }
+      
+      // Credentials and personal data in the prompt reach the LLM only as {{secret_n}} placeholders
+      session.secrets = session.secrets || {};
+      const llmPrompt = concealSecrets(prompt, session.secrets, this.getRedactionPatterns());
       if (isNewSession) {
-        Logger.info('Starting new session with prompt:', prompt);
-        this.sessionState = {
-          initialPrompt: prompt,
-          actionHistory: [],
-          lastPageContext: pageContext
-        };
-      } else {
-        this.sessionState.lastPageContext = pageContext;
+        Logger.info('Starting new session with prompt:', llmPrompt);
+        session.initialPrompt = llmPrompt;
+      }
+      session.lastPageContext = pageContext;
+      options.session = session;
+      if (!options.dryRun) {
+        await SessionStore.save(session);
       }
       
-      // Set up progress tracking callback
-      if (sender) {
-        serviceManager.setProgressCallback((progress) => {
-          this.sendProgressUpdate(sender, progress);
-        });
+      // Commands may start running while a new reply streams in; continuation
+      // rounds bring the early execution of their own request
+      if (!options.continuationCommands) {
+        options.earlyExecution = this.startEarlyExecution(tabId, llmPrompt, options);
       }
       
       // Process the prompt - either using continuation commands or by querying LLM
-      const structuredCommands = await this.getCommands(prompt, pageContext, isNewSession, options);
+      const structuredCommands = await this.getCommands(llmPrompt, pageContext, isNewSession, options);
+      const early = await this.settleEarlyExecution(options.earlyExecution, options);
+      options.earlyExecution = null;
+      this.throwIfCancelled(options.run);
+      
+      // Commands that already ran while the reply streamed in are not run again
+      const pendingCommands = early ? {
+        ...structuredCommands,
+        commands: (structuredCommands.commands || []).slice(this.countEarlyCommands(early, structuredCommands.commands))
+      } : structuredCommands;
+      const executionTabId = early?.tabId ?? tabId;
       
       // Update progress with LLM's custom progress steps
       const progressSteps = structuredCommands.progressSteps || this.getDefaultProgressSteps();
-      const executingStep = progressSteps.find(s => s.id === 'executing') || 
-                           progressSteps[Math.floor(progressSteps.length * 0.75)] || // 75% of the way through steps
-                           { id: 'executing', label: 'Executing', description: 'Executing commands' };
+      const executingStep = this.getExecutingStep(progressSteps);
+      
+      // Check the command budget before anything runs
+      this.enforceBudget(options.run, { commands: pendingCommands.commands?.length || 0 });
+      
+      // Give description-only commands an XPath before they run
+      await this.resolveDescribedTargets(executionTabId, pendingCommands.commands, options.session.lastPageContext, options.run);
+      
+      if (options.dryRun) {
+        return await this.previewCommands(tabId, structuredCommands, { ...options, progressSteps });
+      }
       
       this.sendProgressUpdate(sender, {
         stage: executingStep.id,
-        message: executingStep.description || `Executing ${structuredCommands.commands?.length || 0} commands...`,
+        message: executingStep.description || `Executing ${pendingCommands.commands?.length || 0} commands...`,
         progress: 75,
-        steps: progressSteps
-      });
+        steps: progressSteps,
+        budget: this.getBudgetStatus(options.run)
+      }, options.run);
       
       // Log structured commands before execution if detailed logging is enabled
       if (config.get('app.features.detailedApiLogging', false)) {
         Logger.debug('Structured commands from LLM:', JSON.stringify(structuredCommands, null, 2));
       }
       
-      // Execute commands
-      Logger.info(`Executing ${structuredCommands.commands?.length || 0} commands`);
-      const executionResults = await this.executeCommands(tabId, structuredCommands);
+      // Execute commands; a step declined while streaming ends the round like any other
+      Logger.info(`Executing ${pendingCommands.commands?.length || 0} commands`);
+      const executionResults = early?.declined ? {
+        success: false,
+        declined: true,
+        error: early.error,
+        isComplete: false,
+        commandResults: early.commandResults
+      } : await this.executeCommands(executionTabId, pendingCommands, {
+        run: options.run,
+        sender,
+        session: options.session,
+        prompt: llmPrompt,
+        progressSteps
+      });
+      if (options.run && !early?.declined) {
+        options.run.commandCount += pendingCommands.commands?.length || 0;
+      }
+      this.throwIfCancelled(options.run);
+      
+      // A declined sensitive action ends the run instead of letting the model try again
+      if (executionResults.declined) {
+        this.sendProgressUpdate(sender, {
+          stage: 'declined',
+          message: executionResults.error,
+          progress: 0,
+          steps: progressSteps,
+          budget: this.getBudgetStatus(options.run)
+        }, options.run);
+        
+        return {
+          success: false,
+          declined: true,
+          isComplete: true,
+          errorType: ErrorType.PERMISSION,
+          completionMessage: `Run stopped. ${executionResults.error}`
+        };
+      }
       
       // Check for continuation
       if (!executionResults.isComplete || !structuredCommands.isComplete) {
-        return await this.continueExecution(prompt, tabId, options);
+        return await this.continueExecution(llmPrompt, tabId, options);
       }
       
       // Send completion progress update with custom progress steps
@@ -251,219 +708,1669 @@ class BrowserManager {
                 completeStep.description || 
                 'Commands executed successfully',
         progress: 100,
-        steps: progressSteps
+        steps: progressSteps,
+        budget: this.getBudgetStatus(options.run)
+      }, options.run);
+      
+      // Return results
+      return {
+        success: true,
+        isComplete: true,
+        completionMessage: executionResults.completionMessage || 
+                          structuredCommands.completionMessage || 
+                          'Commands executed successfully'
+      };
+    } catch (error) {
+      if (error.type === ErrorType.CANCELLED) {
+        Logger.info('Prompt run cancelled by user');
+        
+        this.sendProgressUpdate(options.sender, {
+          stage: 'cancelled',
+          message: 'Run cancelled',
+          progress: 0,
+          steps: this.getDefaultProgressSteps()
+        }, options.run);
+        
+        return {
+          success: false,
+          cancelled: true,
+          isComplete: false,
+          completionMessage: 'Run cancelled by user'
+        };
+      }
+      
+      if (error.type === ErrorType.BUDGET_EXCEEDED) {
+        Logger.warn(error.message, error.data);
+        
+        this.sendProgressUpdate(options.sender, {
+          stage: 'budget_exceeded',
+          message: error.message,
+          progress: 0,
+          steps: this.getDefaultProgressSteps(),
+          budget: this.getBudgetStatus(options.run)
+        }, options.run);
+        
+        return {
+          success: false,
+          budgetExceeded: true,
+          budget: error.data,
+          isComplete: false,
+          completionMessage: error.message
+        };
+      }
+      
+      Logger.error('Error handling user prompt:', error);
+      
+      // Send error progress update
+      if (options.sender) {
+        this.sendProgressUpdate(options.sender, {
+          stage: 'error',
+          message: `Error: ${error.message}`,
+          progress: 0,
+          steps: this.getDefaultProgressSteps() // Use default steps for error case
+        }, options.run);
+      }
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * Show the planned commands on the page without executing them
+   * The content script draws numbered boxes on each target, and the plan is
+   * returned for the sidebar to list
+   * @param {number} tabId - Tab ID
+   * @param {Object} commands - Structured commands from the LLM
+   * @param {Object} options - Options from handleUserPrompt plus progressSteps
+   * @returns {Promise<Object>} { success, dryRun, isComplete, plan, completionMessage }
+   */
+  async previewCommands(tabId, commands, options) {
+    const planned = commands.commands || [];
+    
+    await this.ensureContentScriptInjected(tabId);
+    const response = await this.sendMessageToTab(tabId, {
+      action: 'previewCommands',
+      commands: planned
+    }, 10000);
+    
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response from content script');
+    }
+    
+    const plan = planned.map((command, index) => ({
+      ...response.previews[index],
+      summary: describeCommand(command)
+    }));
+    
+    const completionMessage = `Preview: ${plan.length} step${plan.length === 1 ? '' : 's'}, ` +
+                              `${response.highlighted} target${response.highlighted === 1 ? '' : 's'} highlighted`;
+    Logger.info(completionMessage);
+    
+    const steps = options.progressSteps || this.getDefaultProgressSteps();
+    this.sendProgressUpdate(options.sender, {
+      stage: steps[steps.length - 1]?.id || 'complete',
+      message: completionMessage,
+      progress: 100,
+      steps,
+      budget: this.getBudgetStatus(options.run)
+    }, options.run);
+    
+    return {
+      success: true,
+      dryRun: true,
+      isComplete: true,
+      plan,
+      completionMessage
+    };
+  }
+  
+  /**
+   * Build per-request options for LLM calls made during a run
+   * Progress is reported per request so concurrent runs do not share a callback
+   * @param {Object} run - Run state returned by startRun
+   * @param {Object} sender - Message sender for progress updates
+   * @returns {Object} { signal, onProgress }
+   */
+  getRequestOptions(run, sender = null) {
+    return {
+      signal: run?.abortController.signal,
+      onProgress: sender ? (progress) => {
+        this.sendProgressUpdate(sender, {
+          ...progress,
+          subStep: run?.subStep,
+          budget: this.getBudgetStatus(run)
+        }, run);
+      } : null
+    };
+  }
+  
+  /**
+   * Build per-request options for a command request
+   * A streamed reply is shown in the sidebar as it arrives, and its commands are
+   * handed to early execution when the run has one
+   * @param {Object} options - Options from handleUserPrompt
+   * @param {Object|null} early - Early execution from startEarlyExecution
+   * @returns {Object} { signal, onProgress, onStreamUpdate }
+   */
+  getCommandRequestOptions(options, early = null) {
+    return {
+      ...this.getRequestOptions(options.run, options.sender),
+      onStreamUpdate: ({ commands, progressSteps, command }) => {
+        this.sendProgressUpdate(options.sender, {
+          stage: 'processing',
+          message: `Planning... ${commands.length} step${commands.length === 1 ? '' : 's'} so far`,
+          progress: 50,
+          steps: progressSteps.length > 0 ? progressSteps : this.getDefaultProgressSteps(),
+          plannedCommands: commands.map(planned => describeCommand(planned)),
+          budget: this.getBudgetStatus(options.run)
+        }, options.run);
+        
+        if (early && command) {
+          this.queueEarlyCommand(early, command, options);
+        }
+      }
+    };
+  }
+  
+  /**
+   * Prepare to run commands while the reply that plans them is still streaming
+   * Off unless enabled, and never for dry runs or when each step needs confirmation
+   * @param {number} tabId - Tab the commands run in
+   * @param {string} prompt - Prompt of this round, for the navigation check
+   * @param {Object} options - Options from handleUserPrompt
+   * @returns {Object|null} Early execution state, or null when commands wait for the full reply
+   */
+  startEarlyExecution(tabId, prompt, options) {
+    if (!options.run?.executeWhileStreaming || options.run.confirmSteps || options.dryRun) {
+      return null;
+    }
+    
+    return {
+      tabId,
+      prompt,
+      queue: Promise.resolve(),
+      executed: [],
+      commandResults: [],
+      stopped: false,
+      declined: false,
+      error: null,
+      failure: null
+    };
+  }
+  
+  /**
+   * Queue a streamed command for early execution, after the ones before it
+   * @param {Object} early - Early execution state
+   * @param {Object} command - Command that just completed in the stream
+   * @param {Object} options - Options from handleUserPrompt
+   */
+  queueEarlyCommand(early, command, options) {
+    early.queue = early.queue
+      .then(() => this.runEarlyCommand(early, command, options))
+      .catch(error => {
+        early.stopped = true;
+        early.failure = early.failure || error;
       });
+  }
+  
+  /**
+   * Run one streamed command
+   * Early execution stops at the first command that is invalid on its own, fails,
+   * or leaves the page; the rest waits for the full reply. A failed command is
+   * not counted, so it runs again with recovery once the reply is complete.
+   * @param {Object} early - Early execution state
+   * @param {Object} command - Streamed command
+   * @param {Object} options - Options from handleUserPrompt
+   */
+  async runEarlyCommand(early, command, options) {
+    if (early.stopped) return;
+    
+    if (validateSchema(command, COMMAND_SCHEMA, 'command').length > 0) {
+      early.stopped = true;
+      return;
+    }
+    
+    this.throwIfCancelled(options.run);
+    this.enforceBudget(options.run, { commands: 1 });
+    
+    // Remember the command as planned, before target resolution adds to it
+    const planned = JSON.stringify(command);
+    await this.resolveDescribedTargets(early.tabId, [command], options.session.lastPageContext, options.run);
+    
+    Logger.info(`Running streamed ${command.action} command before the reply is complete`);
+    const response = await this.dispatchCommands(early.tabId, [command], {
+      run: options.run,
+      sender: options.sender,
+      session: options.session,
+      prompt: early.prompt
+    });
+    const result = response.commandResults[0];
+    
+    if (!response.success && !response.cancelled && !result?.declined) {
+      early.stopped = true;
+      return;
+    }
+    
+    early.executed.push(planned);
+    early.commandResults.push(result);
+    early.tabId = response.tabId;
+    options.session.actionHistory.push({
+      command: this.concealFilledValue(command, result, options.session),
+      result,
+      timestamp: new Date().toISOString()
+    });
+    if (options.run) {
+      options.run.commandCount++;
+    }
+    
+    if (response.cancelled || result?.declined) {
+      early.stopped = true;
+      early.declined = Boolean(result?.declined);
+      early.error = response.error || result?.error;
+    } else if (PAGE_CHANGING_ACTIONS.includes(command.action) || result?.navigation?.newDocument) {
+      // Later commands were planned against the page this one left, and its
+      // snapshot no longer describes the tab they run in
+      early.stopped = true;
+      options.session.lastPageContext = null;
+    }
+  }
+  
+  /**
+   * Keep queued streamed commands from running after their request failed
+   * @param {Object|null} early - Early execution state
+   */
+  stopEarlyExecution(early) {
+    if (early) {
+      early.stopped = true;
+    }
+  }
+  
+  /**
+   * Wait for early execution to finish once the reply is complete
+   * @param {Object|null} early - Early execution state
+   * @param {Object} options - Options from handleUserPrompt
+   * @returns {Promise<Object|null>} The settled state, or null when there was no early execution
+   */
+  async settleEarlyExecution(early, options) {
+    if (!early) return null;
+    
+    await early.queue;
+    early.stopped = true;
+    
+    if (early.failure?.type === ErrorType.CANCELLED || early.failure?.type === ErrorType.BUDGET_EXCEEDED) {
+      throw early.failure;
+    }
+    if (early.failure) {
+      Logger.warn('Stopped running streamed commands early:', early.failure);
+    }
+    
+    if (early.executed.length > 0) {
+      Logger.info(`${early.executed.length} command(s) ran while the reply streamed in`);
+      await SessionStore.save(options.session);
+    }
+    return early;
+  }
+  
+  /**
+   * Count the leading commands of a reply that already ran early
+   * A corrected reply may differ from what streamed in, so only an unchanged prefix is skipped
+   * @param {Object} early - Settled early execution state
+   * @param {Array} commands - Commands of the complete reply
+   * @returns {number} Number of commands to skip
+   */
+  countEarlyCommands(early, commands = []) {
+    let count = 0;
+    while (count < early.executed.length && count < commands.length &&
+           JSON.stringify(commands[count]) === early.executed[count]) {
+      count++;
+    }
+    if (count < early.executed.length) {
+      Logger.warn(`The complete reply differs from the commands run early after ${count} command(s)`);
+    }
+    return count;
+  }
+  
+  /**
+   * Send progress update to the sender
+   * @param {Object} sender - The message sender
+   * @param {Object} progress - Progress data
+   * @param {Object} run - Run the update belongs to
+   */
+  sendProgressUpdate(sender, progress, run = null) {
+    if (!sender) return;
+    
+    try {
+      // For sidebar/popup, need to use runtime messaging; the tab lets the
+      // sidebar ignore updates from runs in other tabs
+      chrome.runtime.sendMessage({
+        action: 'progressUpdate',
+        progress: run ? { ...progress, tabId: run.originTabId } : progress
+      }).catch(error => {
+        Logger.debug('Could not send runtime message, likely no listeners:', error);
+      });
+    } catch (error) {
+      Logger.warn('Error sending progress update:', error);
+    }
+  }
+  
+  /**
+   * Get page context using browsermagic-dom through content script
+   * @param {number} tabId - Tab ID
+   * @param {Object} options - Snapshot options
+   * @returns {Promise<Object>} Page context
+   */
+  async getPageContext(tabId, options = {}) {
+    try {
+      Logger.info(`Getting page context from tab ${tabId}`);
+      
+      // Ensure content script is injected
+      await this.ensureContentScriptInjected(tabId);
+      
+      // Get snapshot from content script (which uses browsermagic-dom)
+      const response = await this.sendMessageToTab(tabId, {
+        action: 'fastSnapshot',
+        options
+      }, 5000);
+      
+      if (!response || !response.success || !response.snapshot) {
+        throw new Error('Failed to get page snapshot');
+      }
+      
+      const snapshot = response.snapshot;
+      Logger.debug(`Retrieved snapshot with ${snapshot.keyElements?.length || 0} elements`);
+      
+      // The page may have navigated since the injection check
+      if (snapshot.url) {
+        assertUrlAllowed(snapshot.url, this.getDomainPolicy());
+      }
+      
+      // Format the response for LLM processing, with personal data masked
+      const pageContext = redactPageContext({
+        url: snapshot.url,
+        title: snapshot.title || '',
+        tabs: await this.getOpenTabs(tabId),
+        elements: snapshot.keyElements.map(el => ({
+          xpath: el.xpath,
+          text: el.text,
+          type: el.tag,
+          location: {
+            x: el.x,
+            y: el.y,
+            width: el.width, 
+            height: el.height
+          },
+          visible: el.inViewport,
+          fingerprint: el.fingerprint,
+          sensitive: el.sensitive
+        }))
+      }, this.getRedactionPatterns());
+      
+      // Page text that reads like instructions to the model is flagged in the prompt
+      const flagged = flagInstructionText(pageContext);
+      if (flagged.suspiciousCount > 0) {
+        Logger.warn(`Page ${snapshot.url} has ${flagged.suspiciousCount} elements with instruction-like text`);
+      }
+      return flagged;
+    } catch (error) {
+      Logger.error(`Error getting page context from tab ${tabId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get commands for execution
+   * @param {string} prompt - User prompt
+   * @param {Object} pageContext - Page context
+   * @param {boolean} isNewSession - Whether this is a new session
+   * @param {Object} options - Options
+   * @returns {Promise<Object>} Structured commands
+   */
+  async getCommands(prompt, pageContext, isNewSession, options) {
+    // Use continuation commands if provided
+    if (options.continuationCommands) {
+      const commands = options.continuationCommands;
+      commands.isComplete = commands.isComplete ?? false;
+      
+      // Ensure progress steps exist
+      if (!commands.progressSteps || !Array.isArray(commands.progressSteps)) {
+        commands.progressSteps = this.getDefaultProgressSteps();
+      }
+      
+      return commands;
+    }
+    
+    // Query LLM for commands
+    this.enforceBudget(options.run, { llmRequests: 1 });
+    if (options.run) {
+      options.run.llmRequests++;
+    }
+    
+    Logger.info(`Processing prompt with ${serviceManager.getCurrentProvider()}`);
+    Logger.debug(`Prompt: "${prompt.substring(0, 50)}${prompt.length > 50 ? '...' : ''}"`);
+    
+    let commands;
+    try {
+      commands = await serviceManager.processPrompt(
+        prompt,
+        pageContext,
+        {
+          initialPrompt: options.session.initialPrompt,
+          actionHistory: options.session.actionHistory,
+          isNewSession
+        },
+        this.getCommandRequestOptions(options, options.earlyExecution)
+      );
+    } catch (error) {
+      this.stopEarlyExecution(options.earlyExecution);
+      throw error;
+    }
+    
+    // Ensure completion status is defined
+    commands.isComplete = commands.isComplete ?? false;
+    
+    // Ensure progress steps exist (fallback to default if not provided)
+    if (!commands.progressSteps || !Array.isArray(commands.progressSteps) || commands.progressSteps.length === 0) {
+      Logger.warn('LLM did not provide valid progress steps, using defaults');
+      commands.progressSteps = this.getDefaultProgressSteps();
+    } else {
+      Logger.info(`Using LLM-provided progress steps: ${commands.progressSteps.map(s => s.label).join(', ')}`);
+    }
+    
+    return commands;
+  }
+  
+  /**
+   * Get default progress steps when LLM doesn't provide them
+   * @returns {Array} Default progress steps
+   */
+  getDefaultProgressSteps() {
+    return [
+      { id: 'preparing', label: 'Preparing', description: 'Getting page context and preparing' },
+      { id: 'sending', label: 'Sending', description: 'Sending request to LLM' },
+      { id: 'processing', label: 'Processing', description: 'Processing response from LLM' },
+      { id: 'executing', label: 'Executing', description: 'Executing commands on the page' },
+      { id: 'complete', label: 'Complete', description: 'All steps completed' }
+    ];
+  }
+  
+  /**
+   * Get the progress step that commands are executing under
+   * @param {Array} steps - Progress steps of the round
+   * @returns {Object} The 'executing' step, or the step 75% of the way through
+   */
+  getExecutingStep(steps) {
+    return steps.find(s => s.id === 'executing') ||
+      steps[Math.floor(steps.length * 0.75)] ||
+      { id: 'executing', label: 'Executing', description: 'Executing commands' };
+  }
+  
+  /**
+   * Execute commands on a tab
+   * When a command fails, asks the LLM for alternatives from a fresh snapshot
+   * and runs them in its place, up to the configured number of recovery attempts
+   * @param {number} tabId - Tab ID
+   * @param {Object} commands - Commands to execute
+   * @param {Object} options - Options
+   * @param {Object} options.run - Active run, for cancellation and budget checks
+   * @param {Object} options.sender - Message sender for progress updates
+   * @param {Object} options.session - Session whose history records the commands
+   * @param {string} options.prompt - Prompt of this round, for the navigation check
+   * @param {Array} options.progressSteps - Progress steps shown for this round
+   * @returns {Promise<Object>} Execution results
+   */
+  async executeCommands(tabId, commands, options = {}) {
+    const { session } = options;
+    
+    try {
+      // Ensure content script is injected
+      await this.ensureContentScriptInjected(tabId);
+      
+      // Execute commands in content script
+      if (!commands.commands?.length) {
+        return {
+          success: true,
+          isComplete: true,
+          commandResults: []
+        };
+      }
+      
+      const maxRecoveryAttempts = options.run?.budget.maxRecoveryAttempts ??
+                                  config.get('app.automation.maxRecoveryAttempts', 0);
+      const commandResults = [];
+      let queue = commands.commands;
+      let currentTabId = tabId;
+      let response;
+      let attempt = 0;
+      let rejected = 0;
+      
+      while (true) {
+        // In confirmation mode only the steps the user approved are executed
+        if (options.run?.confirmSteps) {
+          const confirmation = await this.confirmCommands(currentTabId, queue, options);
+          queue = confirmation.approved;
+          rejected += confirmation.rejected;
+        }
+        
+        response = await this.dispatchCommands(currentTabId, queue, options);
+        currentTabId = response.tabId;
+        
+        // Track commands in session history; results come back in command order
+        const results = response.commandResults;
+        results.forEach((result, index) => {
+          session.actionHistory.push({
+            command: this.concealFilledValue(queue[index] || {}, result, session),
+            result,
+            timestamp: new Date().toISOString()
+          });
+        });
+        commandResults.push(...results);
+        
+        // A step the user declined is not retried another way
+        const declined = results[results.length - 1]?.declined;
+        if (response.success || response.cancelled || declined || attempt >= maxRecoveryAttempts) {
+          break;
+        }
+        
+        // The failed command is the last one that reported a result
+        const failedIndex = Math.max(results.length - 1, 0);
+        const failedCommand = queue[failedIndex];
+        const errorMessage = response.error || results[failedIndex]?.error || 'Unknown error';
+        attempt++;
+        
+        const recoveryCommands = await this.requestRecovery(currentTabId, failedCommand, errorMessage, {
+          ...options,
+          attempt,
+          maxRecoveryAttempts
+        });
+        
+        if (!recoveryCommands.length) {
+          Logger.info('No recovery commands proposed, giving up on this round');
+          break;
+        }
+        
+        // Run the alternatives in place of the failed command, then the rest of the batch
+        queue = [...recoveryCommands, ...queue.slice(failedIndex + 1)];
+        this.enforceBudget(options.run, { commands: recoveryCommands.length });
+        if (options.run) {
+          options.run.commandCount += recoveryCommands.length;
+        }
+        await this.resolveDescribedTargets(currentTabId, recoveryCommands, session.lastPageContext, options.run);
+      }
+      
+      if (options.run) {
+        options.run.subStep = null;
+      }
+      await SessionStore.save(session);
+      
+      return {
+        success: response.success,
+        cancelled: response.cancelled || false,
+        declined: Boolean(commandResults[commandResults.length - 1]?.declined),
+        error: response.error,
+        // Rejected steps go back to the model for another approach
+        isComplete: commands.isComplete && rejected === 0,
+        commandResults,
+        recoveryAttempts: attempt,
+        completionMessage: commands.completionMessage
+      };
+    } catch (error) {
+      // Let cancellation and budget stops end the run in their own stage; an
+      // unanswered confirmation would only be asked again, so it ends the run too
+      if (error.type === ErrorType.CANCELLED || error.type === ErrorType.BUDGET_EXCEEDED ||
+          error.source === 'step-confirmation') {
+        throw error;
+      }
+      
+      Logger.error('Error executing commands:', error);
+      return {
+        success: false,
+        isComplete: false,
+        error: error.message,
+        commandResults: []
+      };
+    }
+  }
+  
+  /**
+   * Ask the LLM for alternatives to a failed command, from a fresh snapshot
+   * Records the attempt in the action history and reports it as a progress sub-step
+   * @param {number} tabId - Tab ID
+   * @param {Object} failedCommand - Command that failed
+   * @param {string} errorMessage - Error reported by the content script
+   * @param {Object} options - Options from executeCommands plus attempt counters
+   * @returns {Promise<Array>} Alternative commands, empty if none were proposed
+   */
+  async requestRecovery(tabId, failedCommand, errorMessage, options) {
+    const { run, sender, session, attempt, maxRecoveryAttempts } = options;
+    const steps = options.progressSteps || this.getDefaultProgressSteps();
+    const executingStep = this.getExecutingStep(steps);
+    
+    Logger.info(`Recovering from failed ${failedCommand.action} (attempt ${attempt}/${maxRecoveryAttempts}): ${errorMessage}`);
+    
+    this.throwIfCancelled(run);
+    this.enforceBudget(run, { llmRequests: 1 });
+    if (run) {
+      run.llmRequests++;
+    }
+    
+    // Kept on the run so LLM progress updates during recovery still show it
+    const subStep = {
+      type: 'recovery',
+      attempt,
+      maxAttempts: maxRecoveryAttempts,
+      action: failedCommand.action,
+      error: errorMessage
+    };
+    if (run) {
+      run.subStep = subStep;
+    }
+    
+    this.sendProgressUpdate(sender, {
+      stage: executingStep.id,
+      message: `Retrying a failed ${failedCommand.action} (attempt ${attempt} of ${maxRecoveryAttempts})`,
+      progress: 80,
+      steps,
+      subStep,
+      budget: this.getBudgetStatus(run)
+    }, run);
+    
+    // The failure may have been caused by a page change, so look again
+    await this.waitForDomStabilization(tabId);
+    const pageContext = await this.getPageContext(tabId);
+    session.lastPageContext = pageContext;
+    this.throwIfCancelled(run);
+    
+    let recoveryCommands = [];
+    let recoveryError = null;
+    try {
+      const recovery = await serviceManager.processPrompt(
+        formatRecoveryPrompt(failedCommand, errorMessage),
+        pageContext,
+        {
+          initialPrompt: session.initialPrompt,
+          actionHistory: session.actionHistory,
+          isNewSession: false
+        },
+        this.getRequestOptions(run, sender)
+      );
+      recoveryCommands = recovery.commands || [];
+    } catch (error) {
+      if (error.type === ErrorType.CANCELLED) {
+        throw error;
+      }
+      Logger.warn('Recovery request failed:', error);
+      recoveryError = error.message;
+    }
+    
+    session.actionHistory.push({
+      command: {
+        action: 'recover',
+        attempt,
+        failedAction: failedCommand.action,
+        xpath: failedCommand.xpath,
+        description: failedCommand.description
+      },
+      result: {
+        success: recoveryCommands.length > 0,
+        alternatives: recoveryCommands.length,
+        error: recoveryError || (recoveryCommands.length ? undefined : 'No alternative commands proposed')
+      },
+      timestamp: new Date().toISOString()
+    });
+    
+    return recoveryCommands;
+  }
+  
+  /**
+   * Show the planned commands in the sidebar, highlight their targets and wait
+   * for the user to approve, edit, skip or reject each one
+   * Skipped and rejected commands are recorded in the action history
+   * @param {number} tabId - Tab the commands will run in
+   * @param {Array} commands - Planned commands
+   * @param {Object} options - Options from executeCommands
+   * @returns {Promise<Object>} { approved, rejected } - Commands to execute and the number rejected
+   */
+  async confirmCommands(tabId, commands, options) {
+    const { run, sender, session } = options;
+    if (!commands.length) {
+      return { approved: [], rejected: 0 };
+    }
+    
+    const steps = options.progressSteps || this.getDefaultProgressSteps();
+    const executingStep = this.getExecutingStep(steps);
+    
+    const confirmation = {
+      id: crypto.randomUUID(),
+      tabId: run?.originTabId ?? tabId,
+      kind: 'steps',
+      steps: commands.map((command, index) => ({
+        index,
+        action: command.action,
+        summary: describeCommand(command),
+        value: command.value,
+        editable: typeof command.value === 'string'
+      }))
+    };
+    
+    this.sendProgressUpdate(sender, {
+      stage: executingStep.id,
+      message: `Waiting for you to confirm ${commands.length} step${commands.length === 1 ? '' : 's'}`,
+      progress: 75,
+      steps,
+      subStep: { type: 'confirmation', count: commands.length },
+      budget: this.getBudgetStatus(run)
+    }, run);
+    
+    await this.highlightCommandTargets(tabId, commands, session?.lastPageContext);
+    const decisions = await this.askUser(tabId, confirmation, run);
+    
+    const approved = [];
+    let rejected = 0;
+    commands.forEach((command, index) => {
+      const { decision, value } = decisions[index] || { decision: 'reject' };
+      
+      if (decision === 'approve') {
+        const edited = typeof value === 'string' && typeof command.value === 'string' && value !== command.value;
+        // Approved steps have been seen by the user, so the sensitive-action guard lets them through;
+        // values the user typed are only passed on as placeholders
+        approved.push(edited ?
+          { ...command, value: concealValue(session.secrets, value), editedByUser: true, approvedByUser: true } :
+          { ...command, approvedByUser: true });
+        return;
+      }
+      
+      const isRejected = decision !== 'skip';
+      if (isRejected) {
+        rejected++;
+      }
+      session.actionHistory.push({
+        command,
+        result: {
+          success: false,
+          action: command.action,
+          [isRejected ? 'rejected' : 'skipped']: true,
+          error: isRejected ? 'Rejected by the user' : 'Skipped by the user'
+        },
+        timestamp: new Date().toISOString()
+      });
+    });
+    
+    Logger.info(`User approved ${approved.length} of ${commands.length} steps (${rejected} rejected)`);
+    return { approved, rejected };
+  }
+  
+  /**
+   * Outline the elements planned commands act on, numbered by step
+   * Only commands before the first page change can be shown on the current page
+   * @param {number} tabId - Tab ID
+   * @param {Array} commands - Planned commands
+   * @param {Object} pageContext - Snapshot the command XPaths came from
+   * @returns {Promise<void>}
+   */
+  async highlightCommandTargets(tabId, commands, pageContext) {
+    const firstPageChange = commands.findIndex(command => PAGE_CHANGING_ACTIONS.includes(command.action));
+    const targets = this.attachCommandFingerprints(commands, pageContext)
+      .map((command, index) => ({
+        xpath: command.xpath,
+        fingerprint: command.fingerprint,
+        description: command.description,
+        action: command.action,
+        label: index + 1
+      }))
+      .slice(0, firstPageChange === -1 ? commands.length : firstPageChange)
+      .filter(target => target.xpath || target.description);
+    
+    if (targets.length === 0) {
+      return;
+    }
+    
+    try {
+      await this.ensureContentScriptInjected(tabId);
+      await this.sendMessageToTab(tabId, { action: 'highlightElements', targets }, 3000);
+    } catch (error) {
+      Logger.warn('Could not highlight command targets:', error);
+    }
+  }
+  
+  /**
+   * Wait for the user's answer to a confirmation, then remove the highlights
+   * Time spent waiting does not count against the run's time limit
+   * @param {number} tabId - Tab showing the highlights
+   * @param {Object} confirmation - { id, tabId, kind, steps }
+   * @param {Object} run - Active run
+   * @returns {Promise<Array>} Decisions by step index
+   */
+  async askUser(tabId, confirmation, run) {
+    const waitStart = Date.now();
+    try {
+      return await this.waitForConfirmation(confirmation, run);
+    } finally {
+      if (run) {
+        run.startTime += Date.now() - waitStart;
+      }
+      this.sendMessageToTab(tabId, { action: 'clearHighlights' }, 1000).catch(error => {
+        Logger.debug(`Could not clear highlights: ${error.message}`);
+      });
+    }
+  }
+  
+  /**
+   * Check a click or key press for sensitive actions and ask the user before it runs
+   * The content script classifies the command against the user's risk patterns;
+   * if it cannot be checked, the user is asked anyway
+   * @param {Object} command - Page command about to run
+   * @param {number} tabId - Tab it runs in
+   * @param {Object|null} pageContext - Snapshot the command's XPath came from
+   * @param {Object} options - Options from executeCommands
+   * @returns {Promise<Object|null>} A PERMISSION failure result if the user declined, otherwise null
+   */
+  async guardSensitiveCommand(command, tabId, pageContext, options) {
+    const { run, sender } = options;
+    const safety = config.get('app.safety', {});
+    if (!safety.guardSensitiveActions || command.approvedByUser || !GUARDED_ACTIONS.includes(command.action)) {
+      return null;
+    }
+    
+    let assessment;
+    try {
+      await this.ensureContentScriptInjected(tabId);
+      assessment = await this.sendMessageToTab(tabId, {
+        action: 'assessRisk',
+        command: this.attachCommandFingerprints([command], pageContext)[0],
+        patterns: safety.riskPatterns || [],
+        buttonPatterns: safety.buttonRiskPatterns || []
+      }, 3000);
+      if (!assessment?.success) {
+        throw new Error(assessment?.error || 'No response from content script');
+      }
+    } catch (error) {
+      Logger.warn('Could not check command for sensitive actions:', error);
+      assessment = { risky: true, reasons: [`The step could not be checked (${error.message})`] };
+    }
+    
+    if (!assessment.risky) {
+      return null;
+    }
+    
+    const summary = describeCommand(command);
+    Logger.info(`Sensitive action needs confirmation: ${summary}`, assessment.reasons);
+    
+    const steps = options.progressSteps || this.getDefaultProgressSteps();
+    const executingStep = this.getExecutingStep(steps);
+    
+    this.sendProgressUpdate(sender, {
+      stage: executingStep.id,
+      message: `Waiting for you to allow: ${summary}`,
+      progress: 80,
+      steps,
+      budget: this.getBudgetStatus(run)
+    }, run);
+    
+    await this.highlightCommandTargets(tabId, [command], pageContext);
+    const [answer] = await this.askUser(tabId, {
+      id: crypto.randomUUID(),
+      tabId: run?.originTabId ?? tabId,
+      kind: 'sensitive',
+      steps: [{
+        index: 0,
+        action: command.action,
+        summary,
+        targetText: assessment.targetText,
+        reasons: assessment.reasons
+      }]
+    }, run);
+    
+    if (answer?.decision === 'approve') {
+      return null;
+    }
+    
+    return this.declinedResult(command, summary, {
+      source: 'sensitive-action-guard',
+      data: { reasons: assessment.reasons }
+    });
+  }
+  
+  /**
+   * Ask the user before navigating to a domain that neither the user's prompt nor
+   * the current page mentioned, since page text may have steered the model there
+   * Only the user's prompts, the current and open tab URLs and hosts already visited
+   * count; page text does not, as it is exactly what an injection would plant
+   * Hosts the user allows are trusted for the rest of the run
+   * @param {Object} command - navigate or tab command about to run
+   * @param {number} tabId - Current tab
+   * @param {Object} options - Options from executeCommands
+   * @returns {Promise<Object|null>} A PERMISSION failure result if the user declined, otherwise null
+   */
+  async guardNavigationTarget(command, tabId, options) {
+    const { run, sender, session } = options;
+    if (!command.url || command.approvedByUser) {
+      return null;
+    }
+    
+    let target;
+    try {
+      target = new URL(command.url);
+    } catch (error) {
+      // The command reports the invalid URL itself
+      return null;
+    }
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+      return null;
+    }
+    
+    const currentUrl = await chrome.tabs.get(tabId).then(tab => tab.url).catch(() => null);
+    const page = session?.lastPageContext;
+    const userText = [options.prompt, session?.initialPrompt].filter(Boolean).join('\n');
+    const knownDomains = collectKnownDomains([
+      userText,
+      currentUrl,
+      page?.url,
+      ...(page?.tabs || []).map(tab => tab.url),
+      // Places the run has already been
+      ...(session?.actionHistory || []).flatMap(({ command: previous, result }) =>
+        result?.success ? [previous.url, result.navigation?.url] : []),
+      ...(run?.confirmedHosts || [])
+    ]);
+    
+    if (isKnownHost(target.hostname, knownDomains, userText)) {
+      return null;
+    }
+    
+    const summary = describeCommand(command);
+    const reasons = [`${target.hostname} does not appear in your instructions, your open tabs or the sites this run has visited`];
+    Logger.warn(`Navigation to an unmentioned domain needs confirmation: ${command.url}`);
+    
+    const steps = options.progressSteps || this.getDefaultProgressSteps();
+    const executingStep = this.getExecutingStep(steps);
+    
+    this.sendProgressUpdate(sender, {
+      stage: executingStep.id,
+      message: `Waiting for you to allow: ${summary}`,
+      progress: 80,
+      steps,
+      budget: this.getBudgetStatus(run)
+    }, run);
+    
+    const [answer] = await this.askUser(tabId, {
+      id: crypto.randomUUID(),
+      tabId: run?.originTabId ?? tabId,
+      kind: 'sensitive',
+      title: 'Go to an unexpected site?',
+      steps: [{
+        index: 0,
+        action: command.action,
+        summary,
+        targetText: target.hostname,
+        reasons
+      }]
+    }, run);
+    
+    if (answer?.decision === 'approve') {
+      run?.confirmedHosts.push(target.hostname);
+      return null;
+    }
+    
+    return this.declinedResult(command, summary, {
+      source: 'navigation-guard',
+      data: { url: command.url, reasons }
+    });
+  }
+  
+  /**
+   * Ask the user before closing a tab this run did not open, since it may hold
+   * unsaved work and page text may have steered the model into closing it
+   * @param {Object} command - Tab command about to run
+   * @param {number} tabId - Current tab
+   * @param {Object} options - Options from executeCommands
+   * @returns {Promise<Object|null>} A PERMISSION failure result if the user declined, otherwise null
+   */
+  async guardTabClose(command, tabId, options) {
+    const { run, sender } = options;
+    if (command.action !== 'closeTab' || command.approvedByUser) {
+      return null;
+    }
+    
+    const targetId = command.tabId !== undefined ? Number(command.tabId) : tabId;
+    if (run?.openedTabIds.includes(targetId) || targetId === run?.originTabId) {
+      // The origin tab is refused by the command itself
+      return null;
+    }
+    
+    const tab = await chrome.tabs.get(targetId).catch(() => null);
+    if (!tab) {
+      // The command reports the missing tab itself
+      return null;
+    }
+    
+    const summary = describeCommand(command);
+    const reasons = [`"${tab.title || tab.url}" was not opened by this run`];
+    Logger.warn(`Closing tab ${targetId} needs confirmation: it was not opened by this run`);
+    
+    const steps = options.progressSteps || this.getDefaultProgressSteps();
+    const executingStep = this.getExecutingStep(steps);
+    
+    this.sendProgressUpdate(sender, {
+      stage: executingStep.id,
+      message: `Waiting for you to allow: ${summary}`,
+      progress: 80,
+      steps,
+      budget: this.getBudgetStatus(run)
+    }, run);
+    
+    const [answer] = await this.askUser(tabId, {
+      id: crypto.randomUUID(),
+      tabId: run?.originTabId ?? tabId,
+      kind: 'sensitive',
+      title: 'Close one of your tabs?',
+      steps: [{
+        index: 0,
+        action: command.action,
+        summary,
+        targetText: tab.title || tab.url || '',
+        reasons
+      }]
+    }, run);
+    
+    if (answer?.decision === 'approve') {
+      return null;
+    }
+    
+    return this.declinedResult(command, summary, {
+      source: 'tab-guard',
+      data: { tabId: targetId, reasons }
+    });
+  }
+  
+  /**
+   * Ask the user before filling a secret in on another site than the one it was first
+   * used on, since page text may have steered the model into sending it elsewhere
+   * Each secret is tied to the host of its first use; hosts the user allows are added
+   * @param {Object} command - Command about to run, still holding its placeholders
+   * @param {number} tabId - Current tab
+   * @param {Object} options - Options from executeCommands
+   * @returns {Promise<Object|null>} A PERMISSION failure result if the user declined, otherwise null
+   */
+  async guardSecretUse(command, tabId, options) {
+    const { run, sender, session } = options;
+    const names = Object.keys(pickUsedSecrets(command, session?.secrets));
+    if (names.length === 0) {
+      return null;
+    }
+    
+    // Values in a URL go to the site it opens; everything else goes to the current page
+    const url = command.url ? revealSecrets(command, session.secrets).url :
+      await chrome.tabs.get(tabId).then(tab => tab.url).catch(() => null);
+    let host = null;
+    try {
+      host = new URL(url).hostname || null;
+    } catch (error) {
+      // An unknown host never matches a secret's hosts
+    }
+    
+    session.secretHosts = session.secretHosts || {};
+    const foreign = names.filter(name => session.secretHosts[name] && !session.secretHosts[name].includes(host));
+    const bind = () => names.forEach(name => {
+      if (host && !session.secretHosts[name]?.includes(host)) {
+        session.secretHosts[name] = [...(session.secretHosts[name] || []), host];
+      }
+    });
+    
+    if (foreign.length === 0) {
+      bind();
+      return null;
+    }
+    
+    const summary = describeCommand(command);
+    const reasons = foreign.map(name => `{{${name}}} was given to ${session.secretHosts[name].join(', ')}, not ${host || 'this page'}`);
+    Logger.warn(`Secret use on another host needs confirmation: ${reasons.join('; ')}`);
+    
+    const steps = options.progressSteps || this.getDefaultProgressSteps();
+    const executingStep = this.getExecutingStep(steps);
+    
+    this.sendProgressUpdate(sender, {
+      stage: executingStep.id,
+      message: `Waiting for you to allow: ${summary}`,
+      progress: 80,
+      steps,
+      budget: this.getBudgetStatus(run)
+    }, run);
+    
+    const [answer] = await this.askUser(tabId, {
+      id: crypto.randomUUID(),
+      tabId: run?.originTabId ?? tabId,
+      kind: 'sensitive',
+      title: 'Share a saved value with another site?',
+      steps: [{
+        index: 0,
+        action: command.action,
+        summary,
+        targetText: host || '',
+        reasons
+      }]
+    }, run);
+    
+    if (answer?.decision === 'approve') {
+      bind();
+      return null;
+    }
+    
+    return this.declinedResult(command, summary, {
+      source: 'secret-guard',
+      data: { host, secrets: foreign, reasons }
+    });
+  }
+  
+  /**
+   * Build the result of a command the user declined
+   * @param {Object} command - Declined command
+   * @param {string} reason - Summary of what was declined
+   * @param {Object} details - Error source and data
+   * @returns {Object} A PERMISSION failure result marked as declined
+   */
+  declinedResult(command, reason, { source, data } = {}) {
+    const error = new AppError(`Declined by the user: ${reason}`, {
+      type: ErrorType.PERMISSION,
+      source,
+      retryable: false,
+      data
+    });
+    Logger.info(error.message);
+    
+    return {
+      success: false,
+      action: command.action,
+      ...(command.url && { url: command.url }),
+      declined: true,
+      error: error.message,
+      errorType: error.type
+    };
+  }
+  
+  /**
+   * Send a confirmation request to the sidebar and wait for its answer
+   * @param {Object} confirmation - { id, tabId, kind, title, steps }; kind 'sensitive' asks about a single risky step
+   * @param {Object} run - Active run; cancelling it rejects the wait
+   * @returns {Promise<Array>} Decisions by step index: { decision, value }
+   */
+  waitForConfirmation(confirmation, run) {
+    this.throwIfCancelled(run);
+    
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        this.pendingConfirmations.delete(confirmation.id);
+        reject(new AppError('No answer to the step confirmation, stopping the run', {
+          type: ErrorType.TIMEOUT,
+          source: 'step-confirmation',
+          retryable: false
+        }));
+      }, CONFIRMATION_TIMEOUT);
+      
+      const settle = (callback) => (value) => {
+        clearTimeout(timeoutId);
+        callback(value);
+      };
+      
+      this.pendingConfirmations.set(confirmation.id, {
+        confirmation,
+        run,
+        resolve: settle(resolve),
+        reject: settle(reject)
+      });
+      
+      chrome.runtime.sendMessage({ action: 'confirmSteps', confirmation }).catch(error => {
+        Logger.warn('Could not reach the sidebar for step confirmation:', error);
+        this.pendingConfirmations.get(confirmation.id)?.reject(new AppError('Open the sidebar to confirm steps', {
+          type: ErrorType.VALIDATION,
+          source: 'step-confirmation',
+          retryable: false
+        }));
+        this.pendingConfirmations.delete(confirmation.id);
+      });
+    });
+  }
+  
+  /**
+   * Resolve a pending step confirmation with the sidebar's decisions
+   * @param {string} id - Confirmation ID
+   * @param {Array} decisions - Decisions by step index
+   * @returns {boolean} Whether a confirmation was waiting
+   */
+  resolveConfirmation(id, decisions) {
+    const pending = this.pendingConfirmations.get(id);
+    if (!pending) {
+      Logger.debug(`No pending confirmation ${id}`);
+      return false;
+    }
+    
+    this.pendingConfirmations.delete(id);
+    pending.resolve(Array.isArray(decisions) ? decisions : []);
+    return true;
+  }
+  
+  /**
+   * Run a command sequence, sending page commands to the content script and
+   * handling tab and navigate commands here
+   * Page commands are sent one at a time so a navigation they trigger is waited
+   * for before the next command runs in the new document
+   * @param {number} tabId - Tab the sequence starts in
+   * @param {Array} queue - Commands to execute
+   * @param {Object} options - Options from executeCommands
+   * @returns {Promise<Object>} { success, cancelled, error, commandResults, tabId }
+   */
+  async dispatchCommands(tabId, queue, options) {
+    const commandResults = [];
+    let currentTabId = tabId;
+    // Fingerprints describe the snapshot document, so they are dropped once the page changes
+    let pageContext = options.session?.lastPageContext;
+    
+    for (const command of queue) {
+      this.throwIfCancelled(options.run);
+      let result;
+      
+      if (TAB_ACTIONS.includes(command.action) || command.action === 'navigate') {
+        const declined = await this.guardNavigationTarget(command, currentTabId, options) ||
+          await this.guardTabClose(command, currentTabId, options) ||
+          await this.guardSecretUse(command, currentTabId, options);
+        // URLs may carry {{secret_n}} placeholders from the prompt, filled in only to run the command
+        const secrets = pickUsedSecrets(command, options.session?.secrets);
+        if (declined) {
+          result = declined;
+        } else if (command.action === 'navigate') {
+          result = hideSecrets(await this.executeNavigateCommand(revealSecrets(command, secrets), currentTabId, options.run), secrets);
+        } else {
+          result = hideSecrets(await this.executeTabCommand(revealSecrets(command, secrets), currentTabId, options.run), secrets);
+        }
+      } else {
+        const declined = await this.guardSensitiveCommand(command, currentTabId, pageContext, options) ||
+          await this.guardSecretUse(command, currentTabId, options);
+        result = declined ? { commandResult: declined } :
+          await this.executePageCommand(command, currentTabId, pageContext, options.run, pickUsedSecrets(command, options.session?.secrets));
+        if (result.cancelled) {
+          commandResults.push(result.commandResult);
+          return {
+            success: false,
+            cancelled: true,
+            error: result.error,
+            commandResults,
+            tabId: currentTabId
+          };
+        }
+        result = result.commandResult;
+      }
       
-      // Return results
-      return {
-        success: true,
-        isComplete: true,
-        completionMessage: executionResults.completionMessage || 
-                          structuredCommands.completionMessage || 
-                          'Commands executed successfully'
-      };
-    } catch (error) {
-      Logger.error('Error handling user prompt:', error);
+      commandResults.push(result);
       
-      // Send error progress update
-      if (options.sender) {
-        this.sendProgressUpdate(options.sender, {
-          stage: 'error',
-          message: `Error: ${error.message}`,
-          progress: 0,
-          steps: this.getDefaultProgressSteps() // Use default steps for error case
-        });
+      if (!result.success) {
+        return { success: false, error: result.error, commandResults, tabId: currentTabId };
       }
       
-      throw error;
+      if (PAGE_CHANGING_ACTIONS.includes(command.action) || result.navigation?.newDocument) {
+        pageContext = null;
+      }
+      if (result.tabId !== undefined && result.tabId !== currentTabId) {
+        currentTabId = result.tabId;
+        if (options.run) {
+          options.run.tabId = currentTabId;
+        }
+      }
     }
+    
+    return { success: true, commandResults, tabId: currentTabId };
   }
   
   /**
-   * Send progress update to the sender
-   * @param {Object} sender - The message sender
-   * @param {Object} progress - Progress data
+   * Execute one page command in the content script and wait for any navigation it causes
+   * @param {Object} command - Page command
+   * @param {number} tabId - Tab to run it in
+   * @param {Object|null} pageContext - Snapshot the command's XPath came from, for fingerprints
+   * @param {Object} run - Active run
+   * @param {Object} secrets - Values for the command's {{secret_n}} placeholders
+   * @returns {Promise<Object>} { commandResult, cancelled, error }
    */
-  sendProgressUpdate(sender, progress) {
-    if (!sender) return;
+  async executePageCommand(command, tabId, pageContext, run, secrets = {}) {
+    await this.ensureContentScriptInjected(tabId);
     
+    const watcher = new NavigationWatcher(tabId).start();
     try {
-      // For sidebar/popup, need to use runtime messaging
-      chrome.runtime.sendMessage({
-        action: 'progressUpdate',
-        progress
-      }).catch(error => {
-        Logger.debug('Could not send runtime message, likely no listeners:', error);
-      });
-    } catch (error) {
-      Logger.warn('Error sending progress update:', error);
+      let response;
+      try {
+        response = await this.sendMessageToTab(tabId, {
+          action: 'executeCommands',
+          commands: this.attachCommandFingerprints([command], pageContext),
+          secrets
+        }, 30000);
+      } catch (error) {
+        // A command that unloads the page closes the message channel before it can answer
+        if (!watcher.navigated) {
+          throw error;
+        }
+        Logger.debug(`${command.action} navigated away before responding: ${error.message}`);
+      }
+      
+      const commandResult = response?.commandResults?.[0] ||
+        (response ? { success: false, action: command.action, error: response.error || 'No result from content script' }
+                  : { success: true, action: command.action });
+      
+      if (response?.cancelled) {
+        return { commandResult, cancelled: true, error: response.error };
+      }
+      if (!commandResult.success) {
+        return { commandResult };
+      }
+      
+      try {
+        const navigation = await watcher.waitForCompletion({ signal: run?.abortController.signal });
+        if (navigation.navigated) {
+          Logger.info(`${command.action} navigated tab ${tabId} to ${navigation.url}`);
+          commandResult.navigation = navigation;
+          if (navigation.url) {
+            assertUrlAllowed(navigation.url, this.getDomainPolicy());
+          }
+        }
+      } catch (error) {
+        if (error.type === ErrorType.CANCELLED) {
+          throw error;
+        }
+        Logger.warn(`Navigation after ${command.action} failed:`, error);
+        return {
+          commandResult: {
+            ...commandResult,
+            success: false,
+            error: error.message,
+            errorType: error.type
+          }
+        };
+      }
+      
+      return { commandResult };
+    } finally {
+      watcher.stop();
     }
   }
   
   /**
-   * Get page context using browsermagic-dom through content script
-   * @param {number} tabId - Tab ID
-   * @param {Object} options - Snapshot options
-   * @returns {Promise<Object>} Page context
+   * Execute a navigate command by updating the tab and waiting for the new document
+   * @param {Object} command - Navigate command
+   * @param {number} tabId - Tab to navigate
+   * @param {Object} run - Active run
+   * @returns {Promise<Object>} Command result
    */
-  async getPageContext(tabId, options = {}) {
+  async executeNavigateCommand(command, tabId, run) {
+    const watcher = new NavigationWatcher(tabId).start();
     try {
-      Logger.info(`Getting page context from tab ${tabId}`);
+      const { protocol } = new URL(command.url);
+      if (protocol !== 'http:' && protocol !== 'https:') {
+        throw new AppError(`Cannot navigate to a ${protocol} URL: ${command.url}`, {
+          type: ErrorType.NAVIGATION,
+          source: 'navigation',
+          data: { url: command.url }
+        });
+      }
       
-      // Ensure content script is injected
-      await this.ensureContentScriptInjected(tabId);
+      assertUrlAllowed(command.url, this.getDomainPolicy());
       
-      // Get snapshot from content script (which uses browsermagic-dom)
-      const response = await this.sendMessageToTab(tabId, {
-        action: 'fastSnapshot',
-        options
-      }, 5000);
+      await chrome.tabs.update(tabId, { url: command.url });
+      const navigation = await watcher.waitForCompletion({
+        graceTime: NAVIGATE_START_TIMEOUT,
+        signal: run?.abortController.signal
+      });
       
-      if (!response || !response.success || !response.snapshot) {
-        throw new Error('Failed to get page snapshot');
+      if (!navigation.navigated) {
+        throw new AppError(`Navigation to ${command.url} did not start`, {
+          type: ErrorType.NAVIGATION,
+          source: 'navigation',
+          data: { url: command.url }
+        });
       }
       
-      const snapshot = response.snapshot;
-      Logger.debug(`Retrieved snapshot with ${snapshot.keyElements?.length || 0} elements`);
+      // Redirects must stay within the allowed domains too
+      if (navigation.url) {
+        assertUrlAllowed(navigation.url, this.getDomainPolicy());
+      }
       
-      // Format the response for LLM processing
+      Logger.info(`Navigated tab ${tabId} to ${navigation.url}`);
+      return { success: true, action: 'navigate', url: command.url, navigation };
+    } catch (error) {
+      if (error.type === ErrorType.CANCELLED) {
+        throw error;
+      }
+      Logger.warn(`Navigation to ${command.url} failed:`, error);
       return {
-        url: snapshot.url,
-        title: snapshot.title || '',
-        elements: snapshot.keyElements.map(el => ({
-          xpath: el.xpath,
-          text: el.text,
-          type: el.tag,
-          location: {
-            x: el.x,
-            y: el.y,
-            width: el.width, 
-            height: el.height
-          },
-          visible: el.inViewport
-        }))
+        success: false,
+        action: 'navigate',
+        url: command.url,
+        error: error.message,
+        errorType: error.type === ErrorType.PERMISSION ? ErrorType.PERMISSION : ErrorType.NAVIGATION
       };
+    } finally {
+      watcher.stop();
+    }
+  }
+  
+  /**
+   * Execute an openTab, switchTab or closeTab command
+   * @param {Object} command - Tab command
+   * @param {number} currentTabId - Tab the run is currently working in
+   * @param {Object} run - Active run
+   * @returns {Promise<Object>} Command result, with the tab the run continues in
+   */
+  async executeTabCommand(command, currentTabId, run) {
+    try {
+      switch (command.action) {
+        case 'openTab': {
+          if (!/^https?:\/\//i.test(command.url || '')) {
+            throw new Error(`openTab requires an http(s) URL, got: ${command.url}`);
+          }
+          assertUrlAllowed(command.url, this.getDomainPolicy());
+          
+          const current = await chrome.tabs.get(currentTabId);
+          const tab = await chrome.tabs.create({
+            url: command.url,
+            windowId: current.windowId,
+            openerTabId: currentTabId,
+            active: command.active !== false
+          });
+          run?.openedTabIds.push(tab.id);
+          await this.waitForTabLoad(tab.id);
+
+          // A redirect may have landed the tab somewhere the policy does not allow
+          const loaded = await chrome.tabs.get(tab.id);
+          const finalUrl = loaded.url || loaded.pendingUrl || command.url;
+          try {
+            assertUrlAllowed(finalUrl, this.getDomainPolicy());
+          } catch (error) {
+            await chrome.tabs.remove(tab.id).catch(() => {});
+            throw error;
+          }
+
+          Logger.info(`Opened tab ${tab.id} at ${finalUrl}`);
+          return { success: true, action: command.action, tabId: tab.id, url: finalUrl };
+        }
+        
+        case 'switchTab': {
+          const targetId = Number(command.tabId);
+          const tab = await chrome.tabs.get(targetId);
+          await chrome.tabs.update(targetId, { active: true });
+          
+          Logger.info(`Switched to tab ${targetId}`);
+          return { success: true, action: command.action, tabId: targetId, url: tab.url };
+        }
+        
+        case 'closeTab': {
+          const targetId = command.tabId !== undefined ? Number(command.tabId) : currentTabId;
+          if (targetId === run?.originTabId) {
+            throw new Error('Cannot close the tab the run started in');
+          }
+          
+          await chrome.tabs.remove(targetId);
+          
+          // Closing the working tab returns the run to the tab it started in
+          const nextTabId = targetId === currentTabId ? (run?.originTabId ?? currentTabId) : currentTabId;
+          if (nextTabId !== currentTabId) {
+            await chrome.tabs.update(nextTabId, { active: true });
+          }
+          
+          Logger.info(`Closed tab ${targetId}`);
+          return { success: true, action: command.action, tabId: nextTabId, closedTabId: targetId };
+        }
+        
+        default:
+          throw new Error(`Unknown tab command: ${command.action}`);
+      }
     } catch (error) {
-      Logger.error(`Error getting page context from tab ${tabId}:`, error);
-      throw error;
+      Logger.warn(`Tab command ${command.action} failed:`, error);
+      return {
+        success: false,
+        action: command.action,
+        error: error.message,
+        errorType: error.type || ErrorType.COMMAND_EXECUTION,
+        tabId: currentTabId
+      };
     }
   }
   
   /**
-   * Get commands for execution
-   * @param {string} prompt - User prompt
-   * @param {Object} pageContext - Page context
-   * @param {boolean} isNewSession - Whether this is a new session
-   * @param {Object} options - Options
-   * @returns {Promise<Object>} Structured commands
+   * Wait for a tab to finish loading
+   * @param {number} tabId - Tab ID
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {Promise<void>}
    */
-  async getCommands(prompt, pageContext, isNewSession, options) {
-    // Use continuation commands if provided
-    if (options.continuationCommands) {
-      const commands = options.continuationCommands;
-      commands.isComplete = commands.isComplete ?? false;
+  async waitForTabLoad(tabId, timeout = 15000) {
+    await new Promise((resolve) => {
+      const finish = () => {
+        clearTimeout(timeoutId);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      };
       
-      // Ensure progress steps exist
-      if (!commands.progressSteps || !Array.isArray(commands.progressSteps)) {
-        commands.progressSteps = this.getDefaultProgressSteps();
-      }
+      const timeoutId = setTimeout(() => {
+        Logger.warn(`Tab ${tabId} did not finish loading within ${timeout}ms`);
+        finish();
+      }, timeout);
       
-      return commands;
-    }
-    
-    // Query LLM for commands
-    Logger.info(`Processing prompt with ${serviceManager.getCurrentProvider()}`);
-    Logger.debug(`Prompt: "${prompt.substring(0, 50)}${prompt.length > 50 ? '...' : ''}"`);
-    
-    const commands = await serviceManager.processPrompt(
-      prompt,
-      pageContext,
-      {
-        initialPrompt: this.sessionState.initialPrompt,
-        actionHistory: this.sessionState.actionHistory,
-        isNewSession
-      }
-    );
-    
-    // Ensure completion status is defined
-    commands.isComplete = commands.isComplete ?? false;
-    
-    // Ensure progress steps exist (fallback to default if not provided)
-    if (!commands.progressSteps || !Array.isArray(commands.progressSteps) || commands.progressSteps.length === 0) {
-      Logger.warn('LLM did not provide valid progress steps, using defaults');
-      commands.progressSteps = this.getDefaultProgressSteps();
-    } else {
-      Logger.info(`Using LLM-provided progress steps: ${commands.progressSteps.map(s => s.label).join(', ')}`);
+      const listener = (updatedTabId, changeInfo) => {
+        if (updatedTabId === tabId && changeInfo.status === 'complete') {
+          finish();
+        }
+      };
+      
+      // Listen before checking so a load finishing in between is not missed
+      chrome.tabs.onUpdated.addListener(listener);
+      chrome.tabs.get(tabId)
+        .then(tab => {
+          if (tab.status === 'complete' && tab.url && tab.url !== 'about:blank') {
+            finish();
+          }
+        })
+        .catch(finish);
+    });
+  }
+  
+  /**
+   * List the open tabs of a tab's window for the LLM prompt
+   * @param {number} tabId - Tab the run is working in
+   * @returns {Promise<Array>} Compact tab descriptions
+   */
+  async getOpenTabs(tabId) {
+    try {
+      const current = await chrome.tabs.get(tabId);
+      const tabs = await chrome.tabs.query({ windowId: current.windowId });
+      
+      return tabs.slice(0, 20).map(tab => ({
+        id: tab.id,
+        title: (tab.title || '').substring(0, 80),
+        url: tab.url || '',
+        current: tab.id === tabId
+      }));
+    } catch (error) {
+      Logger.debug(`Could not list open tabs: ${error.message}`);
+      return [];
     }
-    
-    return commands;
   }
   
   /**
-   * Get default progress steps when LLM doesn't provide them
-   * @returns {Array} Default progress steps
+   * Pair commands with the fingerprint of the snapshot element their XPath names
+   * The fingerprints stay out of the commands kept in the action history
+   * @param {Array} commands - Commands to execute
+   * @param {Object} pageContext - Snapshot the command XPaths came from
+   * @returns {Array} Copies of the commands with fingerprints where known
    */
-  getDefaultProgressSteps() {
-    return [
-      { id: 'preparing', label: 'Preparing', description: 'Getting page context and preparing' },
-      { id: 'sending', label: 'Sending', description: 'Sending request to LLM' },
-      { id: 'processing', label: 'Processing', description: 'Processing response from LLM' },
-      { id: 'executing', label: 'Executing', description: 'Executing commands on the page' },
-      { id: 'complete', label: 'Complete', description: 'All steps completed' }
-    ];
+  attachCommandFingerprints(commands, pageContext) {
+    const elements = pageContext?.elements || [];
+    
+    return commands.map(command => {
+      const element = command.xpath && elements.find(el => el.xpath === command.xpath);
+      return element?.fingerprint ? { ...command, fingerprint: element.fingerprint } : command;
+    });
   }
   
   /**
-   * Execute commands on a tab
+   * Resolve XPaths for commands that only carry a description
+   * Tries the content script's semantic matcher first and falls back to asking
+   * the LLM via refineSelectorForCommand. Commands left unresolved are matched
+   * again at execution time, once earlier commands have updated the page
    * @param {number} tabId - Tab ID
-   * @param {Object} commands - Commands to execute
-   * @returns {Promise<Object>} Execution results
+   * @param {Array} commands - Commands from the LLM, updated in place
+   * @param {Object} pageContext - Page context sent with the prompt
+   * @param {Object} run - Active run, for cancellation and budget checks
+   * @returns {Promise<void>}
    */
-  async executeCommands(tabId, commands) {
+  async resolveDescribedTargets(tabId, commands = [], pageContext, run) {
+    // Commands after a page change run on another page, so they are matched when they run
+    const firstPageChange = commands.findIndex(command => PAGE_CHANGING_ACTIONS.includes(command.action));
+    const pending = commands
+      .slice(0, firstPageChange === -1 ? commands.length : firstPageChange)
+      .filter(command =>
+        !command.xpath && command.description && ['click', 'fill', 'type'].includes(command.action)
+      );
+    
+    if (pending.length === 0) {
+      return;
+    }
+    
+    Logger.info(`Resolving ${pending.length} description-only commands`);
+    
+    let resolutions = [];
     try {
-      // Ensure content script is injected
       await this.ensureContentScriptInjected(tabId);
+      const response = await this.sendMessageToTab(tabId, {
+        action: 'resolveDescriptions',
+        commands: pending
+      }, 5000);
+      resolutions = response?.resolutions || [];
+    } catch (error) {
+      Logger.warn('Semantic matching failed, falling back to the LLM:', error);
+    }
+    
+    for (let i = 0; i < pending.length; i++) {
+      const command = pending[i];
+      const resolution = resolutions[i];
       
-      // Execute commands in content script
-      if (!commands.commands?.length) {
-        return {
-          success: true,
-          isComplete: true,
-          commandResults: []
-        };
+      if (resolution?.xpath) {
+        Logger.debug(`Matched "${command.description}" to ${resolution.xpath} by ${resolution.matchedOn}`);
+        command.xpath = resolution.xpath;
+        command.resolvedBy = 'semantic';
+        continue;
       }
       
-      // Send commands to content script
-      const response = await this.sendMessageToTab(tabId, {
-        action: 'executeCommands',
-        commands: commands.commands
-      }, 30000);
-      
-      // Track commands in session history
-      if (response && response.commandResults) {
-        for (const result of response.commandResults) {
-          this.sessionState.actionHistory.push({
-            command: commands.commands.find(cmd => cmd.id === result.id) || {},
-            result,
-            timestamp: new Date().toISOString()
-          });
-        }
+      this.throwIfCancelled(run);
+      this.enforceBudget(run, { llmRequests: 1 });
+      if (run) {
+        run.llmRequests++;
       }
       
-      return {
-        success: response?.success || false,
-        isComplete: commands.isComplete,
-        commandResults: response?.commandResults || [],
-        completionMessage: commands.completionMessage
-      };
-    } catch (error) {
-      Logger.error('Error executing commands:', error);
-      return {
-        success: false,
-        isComplete: false,
-        error: error.message,
-        commandResults: []
-      };
+      const refined = await serviceManager.refineSelectorForCommand(
+        command,
+        pageContext,
+        this.getRequestOptions(run)
+      );
+      
+      if (refined.xpath) {
+        command.xpath = refined.xpath;
+        command.resolvedBy = 'llm';
+      } else {
+        Logger.warn(`No XPath found for "${command.description}", retrying when it runs`);
+      }
     }
   }
   
@@ -477,25 +2384,44 @@ class BrowserManager {
   async continueExecution(initialPrompt, tabId, options) {
     try {
       Logger.info('Flow not complete, continuing with next steps');
+      this.throwIfCancelled(options.run);
+      this.enforceBudget(options.run, { rounds: 1 });
+      
+      // Tab commands may have moved the run to another tab
+      const workingTabId = options.run?.tabId ?? tabId;
       
       // Wait for DOM to stabilize and get fresh context
-      await this.waitForDomStabilization(tabId);
-      const newPageContext = await this.getPageContext(tabId);
-      this.sessionState.lastPageContext = newPageContext;
+      await this.waitForDomStabilization(workingTabId);
+      const newPageContext = await this.getPageContext(workingTabId);
+      options.session.lastPageContext = newPageContext;
+      this.throwIfCancelled(options.run);
       
       // Ask LLM for continuation steps
+      this.enforceBudget(options.run, { llmRequests: 1 });
+      if (options.run) {
+        options.run.llmRequests++;
+      }
+      
       Logger.info('Requesting continuation steps from LLM');
       const continuationPrompt = `Continue the process of "${initialPrompt}". What are the next steps needed?`;
+      const earlyExecution = this.startEarlyExecution(workingTabId, initialPrompt, options);
       
-      const continuationCommands = await serviceManager.processPrompt(
-        continuationPrompt,
-        newPageContext,
-        {
-          initialPrompt: this.sessionState.initialPrompt,
-          actionHistory: this.sessionState.actionHistory,
-          isNewSession: false
-        }
-      );
+      let continuationCommands;
+      try {
+        continuationCommands = await serviceManager.processPrompt(
+          continuationPrompt,
+          newPageContext,
+          {
+            initialPrompt: options.session.initialPrompt,
+            actionHistory: options.session.actionHistory,
+            isNewSession: false
+          },
+          this.getCommandRequestOptions(options, earlyExecution)
+        );
+      } catch (error) {
+        this.stopEarlyExecution(earlyExecution);
+        throw error;
+      }
       
       // Execute continuation commands if available
       if (continuationCommands.commands?.length > 0) {
@@ -505,7 +2431,8 @@ class BrowserManager {
         return await this.handleUserPrompt(initialPrompt, {
           ...options,
           resetSession: false,
-          continuationCommands
+          continuationCommands,
+          earlyExecution
         });
       } else {
         Logger.info('No continuation commands received, flow complete');
@@ -516,6 +2443,11 @@ class BrowserManager {
         };
       }
     } catch (error) {
+      // Let cancellation and budget stops propagate so the run ends in their own stage
+      if (error.type === ErrorType.CANCELLED || error.type === ErrorType.BUDGET_EXCEEDED) {
+        throw error;
+      }
+      
       Logger.error('Error in continuation flow:', error);
       return {
         success: false,
@@ -535,8 +2467,15 @@ class BrowserManager {
     try {
       Logger.debug(`Checking content script in tab ${tabId}`);
       
+      // Inject only into a ready document; a script injected mid-load is lost on commit
+      let tab = await chrome.tabs.get(tabId);
+      if (tab.status === 'loading') {
+        Logger.debug(`Tab ${tabId} is still loading, waiting before injecting`);
+        await this.waitForTabLoad(tabId);
+        tab = await chrome.tabs.get(tabId);
+      }
+      
       // Check tab URL
-      const tab = await chrome.tabs.get(tabId);
       const url = tab.url || '';
       
       // Check for restricted URLs
@@ -550,6 +2489,9 @@ class BrowserManager {
         throw new Error(`Cannot execute on restricted page (${url.split('/')[0]}//)`);
       }
       
+      // Check the user's allowed and blocked domains
+      assertUrlAllowed(url, this.getDomainPolicy());
+      
       // Check if content script is already injected
       try {
         const response = await this.sendMessageToTab(tabId, { action: 'ping' }, 1000);
@@ -647,19 +2589,37 @@ class BrowserManager {
    * @param {string} provider - Provider name
    * @param {Object} newConfig - New configuration
    * @param {Object} features - Feature flags
+   * @param {Object} automation - Automation run limits
+   * @param {Object} safety - Safety guard settings
    * @returns {Promise<boolean>} Success
    */
-  async updateServiceConfig(provider, newConfig, features) {
+  async updateServiceConfig(provider, newConfig, features, automation, safety) {
     try {
       // Save to storage
+      const data = {
+        provider,
+        serviceConfig: newConfig,
+        features: features || {}
+      };
+      if (automation) {
+        data.automation = automation;
+      }
+      if (safety) {
+        data.safety = safety;
+      }
+      
       await new Promise((resolve) => {
-        chrome.storage.local.set({
-          provider,
-          serviceConfig: newConfig,
-          features: features || {}
-        }, resolve);
+        chrome.storage.local.set(data, resolve);
       });
       
+      // Update automation limits and safety guards for future runs
+      if (automation) {
+        this.applyAutomationSettings(automation);
+      }
+      if (safety) {
+        this.applySafetySettings(safety);
+      }
+      
       // Update application config if features were provided
       if (features) {
         // Update detailed API logging setting
@@ -677,6 +2637,32 @@ class BrowserManager {
     }
   }
   
+  /**
+   * Test a provider configuration submitted from the settings view
+   * Accepts either the full sidebar settings or a { provider, config } pair
+   * @param {Object} settings - Settings to test
+   * @returns {Promise<Object>} Structured connection test result
+   */
+  async testServiceConnection(settings = {}) {
+    const provider = settings.provider || serviceManager.getCurrentProvider();
+    const providerConfig = settings.config || settings.providers?.[provider] || {};
+    
+    Logger.debug(`Testing service connection for ${provider}`);
+    
+    const result = await serviceManager.testProviderConnection(provider, {
+      ...(serviceConfig.providers[provider] || {}),
+      ...providerConfig
+    });
+    
+    if (result.success) {
+      Logger.info(`Connection test for ${provider} succeeded in ${result.latencyMs}ms`);
+    } else {
+      Logger.warn(`Connection test for ${provider} failed (${result.errorType}): ${result.detail || result.message}`);
+    }
+    
+    return result;
+  }
+  
   /**
    * Change service provider
    * @param {string} provider - New provider name
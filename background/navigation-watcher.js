@@ -0,0 +1,229 @@
+/**
+ * Navigation Watcher
+ * Follows the navigations of one tab's top frame while a command runs, so the
+ * background can wait for the new document instead of sleeping for a fixed time.
+ * Uses chrome.webNavigation for the document lifecycle and tabs.onUpdated as a fallback.
+ */
+import { AppError, ErrorType } from '../services/error-handler.js';
+import { Logger } from '../src/shared/utils';
+
+/**
+ * How long to wait for a navigation to start after a command before assuming it caused none
+ */
+const NAVIGATION_GRACE_TIME = 500;
+
+/**
+ * Default time allowed for a navigation to finish loading
+ */
+const DEFAULT_NAVIGATION_TIMEOUT = 20000;
+
+/**
+ * Navigation error reported when a navigation is replaced by another one
+ */
+const ABORTED_ERROR = 'net::ERR_ABORTED';
+
+/**
+ * Navigation Watcher - Records the navigation events of a tab's top frame
+ */
+class NavigationWatcher {
+  /**
+   * Create a watcher for a tab; call start() before the action that may navigate
+   * @param {number} tabId - Tab ID
+   */
+  constructor(tabId) {
+    this.tabId = tabId;
+    this.state = NavigationWatcher.createState();
+    this.onChange = null;
+
+    this.listeners = {
+      onBeforeNavigate: (details) => this.record(details, () => {
+        // A new navigation supersedes whatever happened before it
+        this.state = { ...NavigationWatcher.createState(), started: true, url: details.url };
+      }),
+      onCommitted: (details) => this.record(details, () => {
+        this.state.started = true;
+        this.state.committed = true;
+        this.state.url = details.url;
+      }),
+      onDOMContentLoaded: (details) => this.record(details, () => {
+        this.state.domReady = true;
+      }),
+      onCompleted: (details) => this.record(details, () => {
+        this.state.domReady = true;
+        this.state.completed = true;
+      }),
+      onHistoryStateUpdated: (details) => this.record(details, () => {
+        // SPA route changes keep the document and its content script
+        this.state.sameDocument = true;
+        this.state.url = details.url;
+      }),
+      onErrorOccurred: (details) => this.record(details, () => {
+        this.state.error = details.error;
+      })
+    };
+
+    this.tabListener = (updatedTabId, changeInfo) => {
+      if (updatedTabId !== this.tabId) return;
+
+      // Loads that webNavigation reports late, such as reloads of the same URL
+      if (changeInfo.status === 'loading') {
+        this.state.started = true;
+      } else if (changeInfo.status === 'complete' && this.state.started) {
+        this.state.domReady = true;
+        this.state.completed = true;
+      }
+      if (changeInfo.url) {
+        this.state.url = changeInfo.url;
+      }
+      this.onChange?.();
+    };
+  }
+
+  /**
+   * Create an empty navigation state
+   * @returns {Object} State
+   */
+  static createState() {
+    return {
+      started: false,
+      committed: false,
+      domReady: false,
+      completed: false,
+      sameDocument: false,
+      url: null,
+      error: null
+    };
+  }
+
+  /**
+   * Apply an event if it belongs to the watched tab's top frame
+   * @param {Object} details - webNavigation event details
+   * @param {Function} update - State update
+   */
+  record(details, update) {
+    if (details.tabId !== this.tabId || details.frameId !== 0) return;
+
+    update();
+    this.onChange?.();
+  }
+
+  /**
+   * Start listening for navigation events
+   * @returns {NavigationWatcher} This watcher
+   */
+  start() {
+    Object.entries(this.listeners).forEach(([event, listener]) => {
+      chrome.webNavigation[event].addListener(listener);
+    });
+    chrome.tabs.onUpdated.addListener(this.tabListener);
+    return this;
+  }
+
+  /**
+   * Stop listening for navigation events
+   */
+  stop() {
+    Object.entries(this.listeners).forEach(([event, listener]) => {
+      chrome.webNavigation[event].removeListener(listener);
+    });
+    chrome.tabs.onUpdated.removeListener(this.tabListener);
+    this.onChange = null;
+  }
+
+  /**
+   * Whether the tab has navigated, or started to, since the watcher started
+   * @returns {boolean} True if a navigation was seen
+   */
+  get navigated() {
+    return this.state.started || this.state.sameDocument;
+  }
+
+  /**
+   * Wait until a navigation caused by the watched action has finished
+   * Resolves straight away for SPA history changes, and after the grace time
+   * when no navigation starts at all
+   * @param {Object} options - Wait options
+   * @param {number} options.graceTime - Time allowed for a navigation to start
+   * @param {number} options.timeout - Time allowed for the navigation to finish loading
+   * @param {AbortSignal} options.signal - Signal that aborts the wait when the run is cancelled
+   * @returns {Promise<Object>} { navigated, sameDocument, newDocument, url }
+   * @throws {AppError} NAVIGATION error if the navigation fails or does not load in time
+   */
+  waitForCompletion({ graceTime = NAVIGATION_GRACE_TIME, timeout = DEFAULT_NAVIGATION_TIMEOUT, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      let graceId = null;
+      let timeoutId = null;
+
+      const finish = (error, result) => {
+        clearTimeout(graceId);
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', onAbort);
+        this.onChange = null;
+        error ? reject(error) : resolve(result);
+      };
+
+      const onAbort = () => finish(new AppError('Run cancelled by user', {
+        type: ErrorType.CANCELLED,
+        source: 'navigation',
+        retryable: false
+      }));
+
+      const check = () => {
+        const { started, committed, completed, sameDocument, url, error } = this.state;
+
+        if (error && error !== ABORTED_ERROR) {
+          finish(this.createError(`Navigation to ${url || 'the new page'} failed: ${error}`, url));
+        } else if (completed || (error === ABORTED_ERROR && committed)) {
+          finish(null, { navigated: true, sameDocument: false, newDocument: committed, url });
+        } else if (sameDocument && !started) {
+          finish(null, { navigated: true, sameDocument: true, newDocument: false, url });
+        } else if (error === ABORTED_ERROR) {
+          // Cancelled before commit, e.g. a download or a navigation that never replaced the page
+          finish(null, { navigated: false, sameDocument: false, newDocument: false, url: null });
+        } else if (started && !timeoutId) {
+          clearTimeout(graceId);
+          timeoutId = setTimeout(() => {
+            // Pages that never fire load (long-polling, stuck ads) are usable once the DOM is ready
+            if (this.state.domReady) {
+              Logger.warn(`Navigation in tab ${this.tabId} still loading after ${timeout}ms, continuing`);
+              finish(null, { navigated: true, sameDocument: false, newDocument: this.state.committed, url: this.state.url });
+            } else {
+              finish(this.createError(`Navigation to ${this.state.url || 'the new page'} did not finish loading within ${timeout}ms`, this.state.url));
+            }
+          }, timeout);
+        }
+      };
+
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+      signal?.addEventListener('abort', onAbort);
+      this.onChange = check;
+
+      graceId = setTimeout(() => {
+        if (!this.navigated) {
+          finish(null, { navigated: false, sameDocument: false, newDocument: false, url: null });
+        }
+      }, graceTime);
+
+      check();
+    });
+  }
+
+  /**
+   * Create a navigation error for this tab
+   * @param {string} message - Error message
+   * @param {string|null} url - URL being navigated to
+   * @returns {AppError} Navigation error
+   */
+  createError(message, url) {
+    return new AppError(message, {
+      type: ErrorType.NAVIGATION,
+      source: 'navigation',
+      data: { tabId: this.tabId, url }
+    });
+  }
+}
+
+export default NavigationWatcher;
@@ -0,0 +1,125 @@
+/**
+ * Session Store
+ * Persists automation sessions to chrome.storage.session so follow-up prompts
+ * keep their history when Chrome restarts the MV3 service worker.
+ * Tab ids are unique across windows for the browser session, so each session
+ * is keyed by the tab it belongs to.
+ */
+import { Logger } from '../src/shared/utils';
+
+/**
+ * Storage key prefix for tab sessions
+ */
+const KEY_PREFIX = 'session:tab:';
+
+/**
+ * Maximum number of history entries kept in storage
+ */
+const MAX_STORED_HISTORY = 100;
+
+/**
+ * Session Store - Loads and saves per-tab automation sessions
+ */
+class SessionStore {
+  /**
+   * Get the storage key for a tab's session
+   * @param {number} tabId - Tab ID
+   * @returns {string} Storage key
+   */
+  static key(tabId) {
+    return `${KEY_PREFIX}${tabId}`;
+  }
+
+  /**
+   * Create an empty session
+   * @param {number|null} tabId - Tab the session belongs to
+   * @param {string|null} initialPrompt - Prompt that started the session
+   * @returns {Object} Session state
+   */
+  static createSession(tabId = null, initialPrompt = null) {
+    return {
+      tabId,
+      initialPrompt,
+      actionHistory: [],
+      lastPageContext: null,
+      // Values behind {{secret_n}} placeholders; session storage is held in memory only
+      secrets: {},
+      // Hosts each secret may be filled in on, starting with the one it was first used on
+      secretHosts: {},
+      updatedAt: null
+    };
+  }
+
+  /**
+   * Load a tab's session
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<Object|null>} Session state, or null if none was stored
+   */
+  static async load(tabId) {
+    try {
+      const key = SessionStore.key(tabId);
+      const result = await chrome.storage.session.get(key);
+      return result[key] || null;
+    } catch (error) {
+      Logger.warn(`Could not load session for tab ${tabId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Save a session under its tab
+   * Snapshot fingerprints are dropped and history is trimmed to stay within the storage quota
+   * @param {Object} session - Session state
+   * @returns {Promise<void>}
+   */
+  static async save(session) {
+    if (session.tabId === null || session.tabId === undefined) {
+      return;
+    }
+
+    const stored = {
+      ...session,
+      actionHistory: session.actionHistory.slice(-MAX_STORED_HISTORY),
+      lastPageContext: session.lastPageContext && {
+        ...session.lastPageContext,
+        elements: (session.lastPageContext.elements || []).map(({ fingerprint, ...element }) => element)
+      },
+      updatedAt: new Date().toISOString()
+    };
+
+    try {
+      await chrome.storage.session.set({ [SessionStore.key(session.tabId)]: stored });
+    } catch (error) {
+      Logger.warn(`Could not save session for tab ${session.tabId}:`, error);
+    }
+  }
+
+  /**
+   * Remove a tab's session
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<void>}
+   */
+  static async remove(tabId) {
+    try {
+      await chrome.storage.session.remove(SessionStore.key(tabId));
+    } catch (error) {
+      Logger.warn(`Could not remove session for tab ${tabId}:`, error);
+    }
+  }
+
+  /**
+   * Summarize a session for the sidebar
+   * @param {Object|null} session - Session state
+   * @returns {Object} { hasSession, initialPrompt, actionCount, updatedAt }
+   */
+  static describe(session) {
+    return {
+      hasSession: Boolean(session?.initialPrompt),
+      initialPrompt: session?.initialPrompt || null,
+      actionCount: session?.actionHistory?.length || 0,
+      updatedAt: session?.updatedAt || null
+    };
+  }
+}
+
+export default SessionStore;
@@ -4,6 +4,11 @@
  */
 import { takeSnapshot, snapshotToPageContext } from 'browsermagic-dom';
 import { CommandExecutor } from '../services/command-executor.js';
+import { resolveDescriptions } from '../services/element-matcher.js';
+import { attachFingerprints } from '../services/element-fingerprint.js';
+import { highlightElements, clearHighlights } from '../services/element-highlighter.js';
+import { assessCommandRisk } from '../services/risk-classifier.js';
+import { maskSensitiveFields } from '../services/sensitive-fields.js';
 
 // Log initialization
 console.log('BrowserMagic.ai content script initialized');
@@ -82,6 +87,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         includeShadowDOM: options.includeShadowDOM
       });
       
+      // Let commands relocate their element if the DOM shifts before they run
+      attachFingerprints(snapshot.keyElements);
+      
+      // Passwords, card numbers and one-time codes never leave the page
+      maskSensitiveFields(snapshot.keyElements);
+      
       const endTime = performance.now();
       
       console.log(`✅ Fast snapshot complete in ${(endTime - startTime).toFixed(2)}ms`);
@@ -117,6 +128,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       
       // Convert to page context format
       const pageContext = snapshotToPageContext(snapshot);
+      attachFingerprints(pageContext.elements);
+      maskSensitiveFields(pageContext.elements);
       
       const endTime = performance.now();
       
@@ -135,6 +148,87 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Indicate async response
   }
   
+  // Handle semantic matching of description-only commands
+  if (message.action === 'resolveDescriptions' && Array.isArray(message.commands)) {
+    console.log(`🔎 Resolving ${message.commands.length} element descriptions`);
+    try {
+      const resolutions = resolveDescriptions(message.commands);
+      sendResponse({ success: true, resolutions });
+    } catch (error) {
+      console.error('❌ Error resolving element descriptions:', error);
+      sendResponse({ 
+        success: false, 
+        error: error.message || 'Unknown error resolving descriptions' 
+      });
+    }
+    
+    return false;
+  }
+  
+  // Handle risk checks of a command before it runs
+  if (message.action === 'assessRisk' && message.command) {
+    console.log(`🛡️ Assessing risk of ${message.command.action} command`);
+    try {
+      sendResponse({ success: true, ...assessCommandRisk(message.command, message.patterns, message.buttonPatterns) });
+    } catch (error) {
+      console.error('❌ Error assessing command risk:', error);
+      sendResponse({ 
+        success: false, 
+        error: error.message || 'Unknown error assessing command risk' 
+      });
+    }
+    
+    return false;
+  }
+  
+  // Handle dry-run previews that highlight targets without acting on them
+  if (message.action === 'previewCommands' && Array.isArray(message.commands)) {
+    console.log(`👀 Previewing ${message.commands.length} commands`);
+    try {
+      sendResponse(CommandExecutor.previewCommands(message.commands));
+    } catch (error) {
+      console.error('❌ Error previewing commands:', error);
+      sendResponse({ 
+        success: false, 
+        error: error.message || 'Unknown error previewing commands' 
+      });
+    }
+    
+    return false;
+  }
+  
+  // Handle highlighting the targets of planned commands
+  if (message.action === 'highlightElements' && Array.isArray(message.targets)) {
+    console.log(`🖍️ Highlighting ${message.targets.length} command targets`);
+    try {
+      const highlighted = highlightElements(message.targets);
+      sendResponse({ success: true, highlighted });
+    } catch (error) {
+      console.error('❌ Error highlighting elements:', error);
+      sendResponse({ 
+        success: false, 
+        error: error.message || 'Unknown error highlighting elements' 
+      });
+    }
+    
+    return false;
+  }
+  
+  // Handle removing command target highlights
+  if (message.action === 'clearHighlights') {
+    clearHighlights();
+    sendResponse({ success: true });
+    return false;
+  }
+  
+  // Handle cancellation of a running command sequence
+  if (message.action === 'cancelCommands') {
+    console.log('🛑 Cancelling command execution');
+    CommandExecutor.cancel();
+    sendResponse({ success: true });
+    return false;
+  }
+  
   // Handle command execution
   if (message.action === 'executeCommands' && Array.isArray(message.commands)) {
     console.log(`⚙️ Received executeCommands with ${message.commands.length} commands:`, message.commands);
@@ -148,8 +242,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       });
     }, 25000);
     
-    // Use the new CommandExecutor
-    CommandExecutor.executeCommands(message.commands)
+    // Use the new CommandExecutor; {{secret_n}} placeholders are filled in from message.secrets
+    CommandExecutor.executeCommands(message.commands, message.secrets)
       .then(result => {
         console.log(`✅ Commands executed successfully:`, result);
         clearTimeout(responseTimeout);
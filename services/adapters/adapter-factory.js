@@ -4,6 +4,7 @@
  */
 import GroqApiAdapter from './groq-adapter';
 import OpenAIAdapter from './openai-adapter';
+import ClaudeAdapter from './claude-adapter';
 
 /**
  * Factory class for creating API adapters
@@ -11,15 +12,21 @@ import OpenAIAdapter from './openai-adapter';
 class ApiAdapterFactory {
   /**
    * Create the appropriate API adapter based on provider name
-   * @param {string} provider - The provider name ('openai', 'groq', etc.)
+   * @param {string} provider - The provider name ('openai', 'groq', 'claude', etc.)
+   * @param {Object} options - Adapter-specific options
    * @returns {LLMApiAdapter} - Instance of the appropriate adapter
    */
-  static createAdapter(provider) {
+  static createAdapter(provider, options = {}) {
     switch (provider.toLowerCase()) {
       case 'groq':
-        return new GroqApiAdapter();
+        return new GroqApiAdapter(options);
       case 'openai':
-        return new OpenAIAdapter();
+        return new OpenAIAdapter(options);
+      case 'claude':
+        return new ClaudeAdapter(options);
+      case 'custom':
+        // Self-hosted OpenAI-compatible servers share the OpenAI wire format
+        return new OpenAIAdapter(options);
       default:
         throw new Error(`No adapter available for provider: ${provider}`);
     }
@@ -13,6 +13,9 @@ class LLMApiAdapter {
    * @param {string} prompt - The user prompt
    * @param {string} systemPrompt - The system prompt
    * @param {Object} options - Additional options for the request
+   * @param {Array<Object>} options.messages - Earlier turns as { role: 'user'|'assistant', content }, sent before the prompt
+   * @param {Array<Object>} options.tools - Tools as { name, description, parameters } the model must call instead of replying with text
+   * @param {boolean} options.stream - Whether to ask for the reply as server-sent events
    * @returns {Object} - Formatted request payload
    */
   formatRequest(prompt, systemPrompt, options) {
@@ -28,6 +31,33 @@ class LLMApiAdapter {
     throw new Error('Method not implemented. Each API adapter must implement parseResponse.');
   }
 
+  /**
+   * Extract native tool calls from the API response
+   * Adapters without tool calling have none to report
+   * @param {Object} response - The raw API response
+   * @returns {Array<Object>} - Calls as { name, input }, in order
+   */
+  parseToolCalls(response) {
+    return [];
+  }
+
+  /**
+   * Check whether requests can stream the reply
+   * @returns {boolean} - True if formatRequest honors options.stream and parseStreamEvent is implemented
+   */
+  supportsStreaming() {
+    return false;
+  }
+
+  /**
+   * Parse one server-sent event of a streamed reply
+   * @param {Object} event - Parsed event data
+   * @returns {Object} - { text, toolCalls, done }; toolCalls are deltas as { index, name, arguments, done }
+   */
+  parseStreamEvent(event) {
+    throw new Error('Method not implemented. Adapters that support streaming must implement parseStreamEvent.');
+  }
+
   /**
    * Format a request for testing the API connection
    * @returns {Object} - Test request payload
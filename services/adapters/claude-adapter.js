@@ -0,0 +1,179 @@
+/**
+ * Claude API Adapter
+ * Handles the specific format for the Anthropic Messages API
+ */
+import LLMApiAdapter from './adapter-interface';
+
+class ClaudeAdapter extends LLMApiAdapter {
+  /**
+   * Create a Claude adapter
+   * @param {Object} options - Adapter options
+   * @param {boolean} options.useToolCalling - Whether to request commands as tool use
+   * @param {boolean} options.useStreaming - Whether to stream replies
+   */
+  constructor(options = {}) {
+    super();
+    this.useToolCalling = options.useToolCalling !== false;
+    this.useStreaming = options.useStreaming !== false;
+  }
+
+  /**
+   * Format a request payload for the Anthropic Messages API
+   * The system prompt is a top-level field rather than a message
+   * @param {string} prompt - The user prompt
+   * @param {string} systemPrompt - The system prompt
+   * @param {Object} options - Additional options
+   * @param {Array<Object>} options.messages - Earlier turns sent before the prompt
+   * @param {Array<Object>} options.tools - Tools the model must use, as input_schema tools
+   * @param {boolean} options.stream - Whether to stream the reply as server-sent events
+   * @returns {Object} - Formatted request payload
+   */
+  formatRequest(prompt, systemPrompt, options = {}) {
+    const { temperature = 0.3, maxTokens = 1024, model = 'claude-3-7-sonnet-20250219', messages = [], tools = [], stream = false } = options;
+
+    const payload = {
+      model: model,
+      system: systemPrompt,
+      messages: [
+        ...messages,
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: temperature,
+      max_tokens: maxTokens
+    };
+
+    if (stream) {
+      payload.stream = true;
+    }
+
+    if (tools.length > 0) {
+      payload.tools = tools.map(({ name, description, parameters }) => ({
+        name,
+        description,
+        input_schema: parameters
+      }));
+      payload.tool_choice = { type: 'any' };
+    }
+
+    return payload;
+  }
+
+  /**
+   * Parse Anthropic Messages API response to extract content
+   * Joins all text content blocks into a single string
+   * @param {Object} response - Raw API response
+   * @returns {string} - Extracted content
+   */
+  parseResponse(response) {
+    if (!response.content || !Array.isArray(response.content)) {
+      throw new Error('Unexpected response format from Claude API: missing content array');
+    }
+
+    const content = response.content
+      .filter(block => block.type === 'text' && block.text)
+      .map(block => block.text)
+      .join('');
+
+    if (!content) {
+      throw new Error('No content found in Claude API response');
+    }
+
+    return content;
+  }
+
+  /**
+   * Extract tool_use blocks from an Anthropic Messages API response
+   * @param {Object} response - Raw API response
+   * @returns {Array<Object>} - Calls as { name, input }, in order
+   */
+  parseToolCalls(response) {
+    return (response.content || [])
+      .filter(block => block.type === 'tool_use' && block.name)
+      .map(block => ({ name: block.name, input: block.input || {} }));
+  }
+
+  /**
+   * Check whether requests can stream the reply
+   * @returns {boolean} - True unless streaming was turned off
+   */
+  supportsStreaming() {
+    return this.useStreaming;
+  }
+
+  /**
+   * Parse one event of a streamed Messages API reply
+   * Tool input arrives as partial JSON, and the block's stop event completes the call
+   * @param {Object} event - Parsed event
+   * @returns {Object} - { text, toolCalls, done }
+   */
+  parseStreamEvent(event) {
+    const parsed = { text: '', toolCalls: [], done: false };
+
+    switch (event.type) {
+      case 'content_block_start':
+        if (event.content_block?.type === 'tool_use') {
+          parsed.toolCalls.push({ index: event.index, name: event.content_block.name });
+        }
+        break;
+      case 'content_block_delta':
+        if (event.delta?.type === 'text_delta') {
+          parsed.text = event.delta.text || '';
+        } else if (event.delta?.type === 'input_json_delta') {
+          parsed.toolCalls.push({ index: event.index, arguments: event.delta.partial_json });
+        }
+        break;
+      case 'content_block_stop':
+        parsed.toolCalls.push({ index: event.index, done: true });
+        break;
+      case 'message_stop':
+        parsed.done = true;
+        break;
+      case 'error':
+        throw new Error(`Claude stream error: ${event.error?.message || 'unknown error'}`);
+      default:
+        break;
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Format a request for testing the API connection
+   * @param {Object} options - Options including model
+   * @returns {Object} - Test request payload
+   */
+  formatTestRequest(options = {}) {
+    const { model = 'claude-3-7-sonnet-20250219' } = options;
+
+    return {
+      model: model,
+      messages: [
+        {
+          role: 'user',
+          content: 'Hello'
+        }
+      ],
+      max_tokens: 5
+    };
+  }
+
+  /**
+   * Get headers for Anthropic Messages API requests
+   * Direct browser access must be opted into explicitly for extension requests
+   * @param {string} apiKey - Anthropic API key
+   * @returns {Object} - Request headers
+   */
+  getRequestHeaders(apiKey) {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true'
+    };
+  }
+}
+
+export default ClaudeAdapter;
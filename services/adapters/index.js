@@ -1,4 +1,5 @@
 export { default as LLMApiAdapter } from './adapter-interface';
 export { default as GroqApiAdapter } from './groq-adapter';
 export { default as OpenAIAdapter } from './openai-adapter';
+export { default as ClaudeAdapter } from './claude-adapter';
 export { default as ApiAdapterFactory } from './adapter-factory';
\ No newline at end of file
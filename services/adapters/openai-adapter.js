@@ -5,32 +5,68 @@
 import LLMApiAdapter from './adapter-interface';
 
 class OpenAIAdapter extends LLMApiAdapter {
+  /**
+   * Create an OpenAI-compatible adapter
+   * @param {Object} options - Adapter options
+   * @param {boolean} options.useResponseFormat - Whether to request JSON mode via response_format
+   * @param {boolean} options.useToolCalling - Whether to request commands as function calls
+   * @param {boolean} options.useStreaming - Whether to stream replies
+   * @param {Object} options.extraHeaders - Additional headers sent with every request
+   */
+  constructor(options = {}) {
+    super();
+    this.useResponseFormat = options.useResponseFormat !== false;
+    this.useToolCalling = options.useToolCalling !== false;
+    this.useStreaming = options.useStreaming !== false;
+    this.extraHeaders = options.extraHeaders || {};
+  }
+
   /**
    * Format a request payload for OpenAI API
    * @param {string} prompt - The user prompt
    * @param {string} systemPrompt - The system prompt
    * @param {Object} options - Additional options
+   * @param {Array<Object>} options.messages - Earlier turns sent between the system prompt and the prompt
+   * @param {Array<Object>} options.tools - Tools the model must call, sent as functions
+   * @param {boolean} options.stream - Whether to stream the reply as server-sent events
    * @returns {Object} - Formatted request payload
    */
   formatRequest(prompt, systemPrompt, options = {}) {
-    const { temperature = 0.3, maxTokens = 1024, model = 'gpt-4o' } = options;
+    const { temperature = 0.3, maxTokens = 1024, model = 'gpt-4o', messages = [], tools = [], stream = false } = options;
     
-    return {
+    const payload = {
       model: model,
       messages: [
         {
           role: 'system',
           content: systemPrompt
         },
+        ...messages,
         {
           role: 'user',
           content: prompt
         }
       ],
       temperature: temperature,
-      max_tokens: maxTokens,
-      response_format: { type: 'json_object' }
+      max_tokens: maxTokens
     };
+    
+    if (stream) {
+      payload.stream = true;
+    }
+    
+    if (tools.length > 0) {
+      payload.tools = tools.map(({ name, description, parameters }) => ({
+        type: 'function',
+        function: { name, description, parameters }
+      }));
+      payload.tool_choice = 'required';
+    } else if (this.useResponseFormat) {
+      // Many self-hosted OpenAI-compatible servers reject response_format
+      payload.response_format = { type: 'json_object' };
+    }
+    
+    return payload;
   }
 
   /**
@@ -52,6 +88,60 @@ class OpenAIAdapter extends LLMApiAdapter {
     return content;
   }
 
+  /**
+   * Extract function calls from OpenAI API response
+   * Arguments that are not valid JSON are passed on empty, so validation reports them
+   * @param {Object} response - Raw API response
+   * @returns {Array<Object>} - Calls as { name, input }, in order
+   */
+  parseToolCalls(response) {
+    const toolCalls = response.choices?.[0]?.message?.tool_calls || [];
+    
+    return toolCalls
+      .filter(call => call.type === 'function' && call.function?.name)
+      .map(call => {
+        let input = {};
+        try {
+          input = JSON.parse(call.function.arguments || '{}');
+        } catch (error) {
+          console.warn(`Could not parse arguments of ${call.function.name} tool call:`, error);
+        }
+        return { name: call.function.name, input };
+      });
+  }
+
+  /**
+   * Check whether requests can stream the reply
+   * @returns {boolean} - True unless streaming was turned off
+   */
+  supportsStreaming() {
+    return this.useStreaming;
+  }
+
+  /**
+   * Parse one chunk of a streamed OpenAI reply
+   * @param {Object} event - Parsed chunk
+   * @returns {Object} - { text, toolCalls, done }
+   */
+  parseStreamEvent(event) {
+    if (event.error) {
+      throw new Error(`OpenAI stream error: ${event.error.message || JSON.stringify(event.error)}`);
+    }
+    
+    const choice = event.choices?.[0];
+    const delta = choice?.delta || {};
+    
+    return {
+      text: delta.content || '',
+      toolCalls: (delta.tool_calls || []).map(call => ({
+        index: call.index ?? 0,
+        name: call.function?.name,
+        arguments: call.function?.arguments
+      })),
+      done: Boolean(choice?.finish_reason)
+    };
+  }
+
   /**
    * Format a request for testing the API connection
    * @param {Object} options - Options including model
@@ -74,14 +164,21 @@ class OpenAIAdapter extends LLMApiAdapter {
 
   /**
    * Get headers for OpenAI API requests
+   * The Authorization header is omitted when no key is configured
    * @param {string} apiKey - OpenAI API key
    * @returns {Object} - Request headers
    */
   getRequestHeaders(apiKey) {
-    return {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
+    const headers = {
+      ...this.extraHeaders,
+      'Content-Type': 'application/json'
     };
+    
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    
+    return headers;
   }
 }
 
@@ -6,7 +6,9 @@
 import LLMService from './llm-service.js';
 import * as PromptTemplates from './prompt-templates.js';
 import { ApiAdapterFactory } from './adapters/index.js';
-import { ApiErrorHandler } from './error-handler.js';
+import { AppError, ApiErrorHandler, ErrorType } from './error-handler.js';
+import { STATUS_TOOL_NAME, getCommandTools, toolCallsToResponse, validateCommandResponse } from './command-schema.js';
+import { readServerSentEvents, StreamingCommandParser, ToolCallAccumulator } from './stream-parser.js';
 import { Logger, config } from '../src/shared/utils';
 
 /**
@@ -18,9 +20,25 @@ export const ProcessingStage = {
   PROCESSING: 'processing',
   EXECUTING: 'executing',
   COMPLETE: 'complete',
+  CANCELLED: 'cancelled',
   ERROR: 'error'
 };
 
+/**
+ * Status codes with which providers reject a request they cannot serve as sent
+ */
+const UNSUPPORTED_REQUEST_STATUSES = [400, 404, 422, 501];
+
+/**
+ * Progress wording for errors that are retried
+ */
+const RETRY_REASONS = {
+  [ErrorType.RATE_LIMIT]: 'Rate limited',
+  [ErrorType.SERVER]: 'Server error',
+  [ErrorType.NETWORK]: 'Network error',
+  [ErrorType.TIMEOUT]: 'Request timed out'
+};
+
 /**
  * Base Service implementation with shared functionality
  * @extends LLMService
@@ -35,6 +53,8 @@ class BaseService extends LLMService {
    * @param {number} config.maxTokens - Maximum tokens to generate
    * @param {string} config.apiEndpoint - API endpoint URL
    * @param {string} config.provider - Provider name for creating the adapter
+   * @param {Object} config.adapterOptions - Options passed to the adapter factory
+   * @param {boolean} config.requiresApiKey - Whether requests fail without an API key
    */
   constructor(config = {}) {
     super();
@@ -44,12 +64,15 @@ class BaseService extends LLMService {
     this.maxTokens = config.maxTokens || 1024;
     this.apiEndpoint = config.apiEndpoint || '';
     this.provider = config.provider || '';
+    this.requiresApiKey = config.requiresApiKey !== false;
     this.progressCallback = null;
+    // Cleared when the model rejects tools, so later requests go straight to JSON text
+    this.toolCallingSupported = true;
     
     // Create the appropriate API adapter
     if (this.provider) {
       try {
-        this.adapter = ApiAdapterFactory.createAdapter(this.provider);
+        this.adapter = ApiAdapterFactory.createAdapter(this.provider, config.adapterOptions);
       } catch (error) {
         Logger.warn(`Could not create adapter for ${this.provider}: ${error.message}`);
         // We'll handle the missing adapter case in the API call methods
@@ -70,10 +93,12 @@ class BaseService extends LLMService {
    * @param {string} stage - Current processing stage
    * @param {string} message - Optional status message
    * @param {number} progress - Optional progress percentage (0-100)
+   * @param {Function} onProgress - Optional per-request callback used instead of the shared one
    */
-  updateProgress(stage, message = '', progress = 0) {
-    if (typeof this.progressCallback === 'function') {
-      this.progressCallback({
+  updateProgress(stage, message = '', progress = 0, onProgress = null) {
+    const callback = onProgress || this.progressCallback;
+    if (typeof callback === 'function') {
+      callback({
         stage,
         message,
         progress,
@@ -88,81 +113,318 @@ class BaseService extends LLMService {
    * @param {string} prompt - User's natural language instructions
    * @param {Object} pageContext - Context about the current page
    * @param {Object} sessionInfo - Information about the current session
+   * @param {Object} requestOptions - Per-request options
+   * @param {AbortSignal} requestOptions.signal - Signal that aborts the in-flight request
+   * @param {Function} requestOptions.onProgress - Progress callback for this request only
+   * @param {Function} requestOptions.onStreamUpdate - Called while a streamed reply arrives with
+   *   { commands, progressSteps, command }, where command is the one just completed, if any
    * @returns {Promise<Object>} - Structured browser commands
    */
-  async processPrompt(prompt, pageContext = null, sessionInfo = {}) {
-    if (!this.apiKey) {
+  async processPrompt(prompt, pageContext = null, sessionInfo = {}, requestOptions = {}) {
+    const reportProgress = (stage, message) => this.updateProgress(stage, message, 0, requestOptions.onProgress);
+    
+    if (!this.apiKey && this.requiresApiKey) {
       throw new Error(`API key is required for ${this.provider}. Please provide an API key in the configuration.`);
     }
     
+    if (!this.apiEndpoint) {
+      throw new Error(`API endpoint is required for ${this.provider}. Please provide a base URL in the configuration.`);
+    }
+    
     if (!this.adapter) {
       throw new Error(`No adapter available for provider: ${this.provider}`);
     }
 
     try {
       // Update progress: Preparing stage
-      this.updateProgress(
+      reportProgress(
         ProcessingStage.PREPARING, 
         `Getting page context and formatting prompt...`
       );
       
       // Format the user prompt with context and history
       const userPrompt = this.formatPromptWithContext(prompt, pageContext, sessionInfo);
-      const systemPrompt = this.getSystemPrompt(!!pageContext);
       
       Logger.info(`${this.provider} service processing prompt using ${this.model}`);
       
-      // Use the adapter to format the request payload
-      const requestPayload = this.adapter.formatRequest(
-        userPrompt, 
-        systemPrompt, 
-        {
-          temperature: this.temperature,
-          maxTokens: this.maxTokens,
-          model: this.model
+      const startTime = performance.now();
+      const reply = await this.requestCommands(userPrompt, !!pageContext, requestOptions);
+      let commands = reply.commands;
+      
+      // Malformed commands get one chance to be fixed before the run fails
+      let validation = this.validateReply(reply);
+      if (!validation.valid) {
+        Logger.warn(`${this.provider} response failed schema validation:`, validation.errors);
+        reportProgress(
+          ProcessingStage.PROCESSING,
+          `Response was malformed, asking the model to correct it...`
+        );
+        
+        // The corrected reply replaces the streamed plan rather than extending it
+        const repaired = await this.requestCommands(
+          PromptTemplates.formatRepairPrompt(validation.errors, this.usesToolCalling()),
+          !!pageContext,
+          { ...requestOptions, onStreamUpdate: null },
+          [
+            { role: 'user', content: userPrompt },
+            { role: 'assistant', content: reply.content }
+          ]
+        );
+        commands = repaired.commands;
+        validation = this.validateReply(repaired);
+        
+        if (!validation.valid) {
+          throw new AppError(`The model returned malformed commands: ${validation.errors.slice(0, 5).join('; ')}`, {
+            type: ErrorType.VALIDATION,
+            source: this.provider,
+            retryable: true,
+            data: { errors: validation.errors }
+          });
         }
-      );
+        Logger.info(`${this.provider} corrected its response after one repair request`);
+      }
       
-      // Update progress: Sending stage
-      this.updateProgress(
-        ProcessingStage.SENDING, 
-        `Sending request to the model...`
+      // Calculate processing time
+      const processingTime = ((performance.now() - startTime) / 1000).toFixed(2);
+      
+      // Update progress: Complete parsing stage
+      reportProgress(
+        ProcessingStage.EXECUTING, 
+        `Preparing to execute commands (completed in ${processingTime}s)...`
       );
       
-      // Get headers from the adapter
-      const headers = this.adapter.getRequestHeaders(this.apiKey);
+      return commands;
+    } catch (error) {
+      // Enhance the error with more context
+      const enhancedError = ApiErrorHandler.handleConnectionError(error, this.provider);
       
-      // Make the API request
-      const startTime = performance.now();
+      // A cancelled request is not a failure; the caller reports it
+      if (enhancedError.type === ErrorType.CANCELLED) {
+        Logger.info(`Request to ${this.provider} was cancelled`);
+        throw enhancedError;
+      }
       
-      // Basic request logging
-      Logger.info(`API Request to ${this.provider} (${this.model}):`, {
-        endpoint: this.apiEndpoint,
-        method: 'POST',
-        headers: { ...headers, Authorization: 'Bearer [REDACTED]' }
-      });
+      Logger.error(`Error processing prompt with ${this.provider}:`, error);
       
-      // Detailed API logging when enabled
-      if (config.get('app.features.detailedApiLogging', false)) {
-        const requestBody = JSON.stringify(requestPayload, null, 2);
-        Logger.debug(`Request payload (${this.provider}):`, requestPayload);
-        Logger.debug(`Raw request body:\n${requestBody}`);
+      // Update progress with error
+      reportProgress(
+        ProcessingStage.ERROR, 
+        `Error: ${error.message}`
+      );
+      
+      throw enhancedError;
+    }
+  }
+
+  /**
+   * Validate a reply from requestCommands
+   * A reply that was not JSON is reported as such rather than as the fallback's schema errors
+   * @param {Object} reply - { commands, parseError }
+   * @returns {Object} - { valid, errors }
+   */
+  validateReply(reply) {
+    if (reply.parseError) {
+      return { valid: false, errors: [`response was not valid JSON: ${reply.parseError.message}`] };
+    }
+    return validateCommandResponse(reply.commands);
+  }
+
+  /**
+   * Check whether requests offer the commands as tools
+   * @returns {boolean} - True if the adapter has tool calling enabled and the model accepts it
+   */
+  usesToolCalling() {
+    return Boolean(this.adapter?.useToolCalling) && this.toolCallingSupported;
+  }
+
+  /**
+   * Check whether an API error is the model rejecting tools
+   * @param {Error} error - Error from requestCompletion
+   * @returns {boolean} - True if the request should be retried without tools
+   */
+  isToolCallingRejected(error) {
+    return UNSUPPORTED_REQUEST_STATUSES.includes(error?.data?.statusCode) &&
+      /tool|function/i.test(error.message);
+  }
+
+  /**
+   * Request commands for a prompt, as tool calls when supported or as JSON text
+   * A model that rejects tools is asked again in JSON text mode, and is not offered tools again
+   * @param {string} userPrompt - Formatted user prompt
+   * @param {boolean} hasPageContext - Whether the prompt includes page context
+   * @param {Object} requestOptions - Per-request options: signal and onProgress
+   * @param {Array<Object>} messages - Earlier turns sent before the prompt
+   * @returns {Promise<Object>} - { commands, content, parseError }, with content the reply as text for later turns
+   *   and parseError set when the text reply was not valid JSON
+   */
+  async requestCommands(userPrompt, hasPageContext, requestOptions = {}, messages = []) {
+    const toolCalling = this.usesToolCalling();
+    const systemPrompt = this.getSystemPrompt(hasPageContext, toolCalling);
+    
+    try {
+      const reply = await this.requestCompletion(
+        userPrompt,
+        systemPrompt,
+        requestOptions,
+        messages,
+        toolCalling ? getCommandTools() : []
+      );
+      
+      if (reply.toolCalls.length > 0) {
+        const commands = toolCallsToResponse(reply.toolCalls);
+        return { commands, content: JSON.stringify(commands) };
+      }
+      
+      try {
+        return { commands: this.extractResponseJson(reply.content), content: reply.content, parseError: null };
+      } catch (parseError) {
+        Logger.error('Failed to parse JSON response:', parseError);
+        return {
+          commands: ApiErrorHandler.handleParsingError(parseError, reply.content),
+          content: reply.content,
+          parseError
+        };
+      }
+    } catch (error) {
+      if (!toolCalling || !this.isToolCallingRejected(error)) {
+        throw error;
       }
       
+      Logger.warn(`${this.provider} model ${this.model} rejected tool calling, falling back to JSON text: ${error.message}`);
+      this.toolCallingSupported = false;
+      return this.requestCommands(userPrompt, hasPageContext, requestOptions, messages);
+    }
+  }
+
+  /**
+   * Send one request to the model and extract its reply
+   * Replies are streamed when the adapter supports it
+   * @param {string} userPrompt - Formatted user prompt
+   * @param {string} systemPrompt - System prompt
+   * @param {Object} requestOptions - Per-request options: signal, onProgress and onStreamUpdate
+   * @param {Array<Object>} messages - Earlier turns sent before the prompt
+   * @param {Array<Object>} tools - Tools the model must call, empty for a text reply
+   * @returns {Promise<Object>} - { content, toolCalls }; content is empty when the model only called tools
+   */
+  async requestCompletion(userPrompt, systemPrompt, requestOptions = {}, messages = [], tools = []) {
+    const reportProgress = (stage, message) => this.updateProgress(stage, message, 0, requestOptions.onProgress);
+    const stream = this.adapter.supportsStreaming();
+    
+    // Use the adapter to format the request payload
+    const requestPayload = this.adapter.formatRequest(
+      userPrompt, 
+      systemPrompt, 
+      {
+        temperature: this.temperature,
+        maxTokens: this.maxTokens,
+        model: this.model,
+        messages,
+        tools,
+        stream
+      }
+    );
+    
+    // Update progress: Sending stage
+    reportProgress(
+      ProcessingStage.SENDING, 
+      `Sending request to the model...`
+    );
+    
+    // Get headers from the adapter
+    const headers = this.adapter.getRequestHeaders(this.apiKey);
+    
+    // Basic request logging
+    Logger.info(`API Request to ${this.provider} (${this.model}):`, {
+      endpoint: this.apiEndpoint,
+      method: 'POST',
+      headers: this.redactHeaders(headers)
+    });
+    
+    // Detailed API logging when enabled
+    if (config.get('app.features.detailedApiLogging', false)) {
+      const requestBody = JSON.stringify(requestPayload, null, 2);
+      Logger.debug(`Request payload (${this.provider}):`, requestPayload);
+      Logger.debug(`Raw request body:\n${requestBody}`);
+    }
+    
+    const { timeout = 30000, retries = 2, retryDelay = 1000 } = config.get('service.request', {});
+    const maxAttempts = retries + 1;
+    
+    // Transient failures are retried with backoff; the run's cancel signal also ends the wait
+    return ApiErrorHandler.retryWithBackoff(
+      () => this.sendCompletionRequest(requestPayload, headers, { requestOptions, tools, stream, timeout }),
+      {
+        maxAttempts,
+        initialBackoff: retryDelay,
+        signal: requestOptions.signal,
+        shouldRetry: (error, attempt) => error instanceof AppError && error.shouldRetry({ attempt, maxAttempts }),
+        onRetry: (error, attempt, backoffTime) => {
+          Logger.warn(`${this.provider} request failed (${error.type}), retrying in ${backoffTime}ms: ${error.message}`);
+          reportProgress(
+            ProcessingStage.SENDING,
+            `${RETRY_REASONS[error.type] || 'Request failed'}, retrying in ${Math.ceil(backoffTime / 1000)}s ` +
+            `(attempt ${attempt + 1} of ${maxAttempts})...`
+          );
+        }
+      }
+    );
+  }
+
+  /**
+   * Send one attempt of a completion request and read its reply
+   * @param {Object} requestPayload - Payload from the adapter
+   * @param {Object} headers - Request headers
+   * @param {Object} attempt - Attempt settings
+   * @param {Object} attempt.requestOptions - Per-request options: signal, onProgress and onStreamUpdate
+   * @param {Array<Object>} attempt.tools - Tools offered to the model
+   * @param {boolean} attempt.stream - Whether the reply was requested as a stream
+   * @param {number} attempt.timeout - Time allowed for the reply, or between streamed events, in milliseconds
+   * @returns {Promise<Object>} - { content, toolCalls }
+   */
+  async sendCompletionRequest(requestPayload, headers, { requestOptions = {}, tools = [], stream = false, timeout = 0 }) {
+    const reportProgress = (stage, message) => this.updateProgress(stage, message, 0, requestOptions.onProgress);
+    const deadline = this.startRequestTimeout(requestOptions.signal, timeout);
+    const startTime = performance.now();
+    let published = false;
+    
+    try {
       const response = await fetch(this.apiEndpoint, {
         method: 'POST',
         headers,
-        body: JSON.stringify(requestPayload)
+        body: JSON.stringify(requestPayload),
+        signal: deadline.signal
       });
-
+      
       if (!response.ok) {
-        const error = await ApiErrorHandler.handleApiError(response, this.provider);
-        this.updateProgress(ProcessingStage.ERROR, `Error: ${error.message}`);
-        throw error;
+        throw await ApiErrorHandler.handleApiError(response, this.provider);
       }
-
+      
+      // Servers that ignore the stream flag answer with a plain JSON body
+      if (stream && (response.headers.get('content-type') || '').includes('text/event-stream')) {
+        reportProgress(
+          ProcessingStage.PROCESSING,
+          `Receiving response from ${this.provider}...`
+        );
+        
+        const onStreamUpdate = requestOptions.onStreamUpdate;
+        const reply = await this.readStreamedReply(response, {
+          ...requestOptions,
+          onStreamUpdate: onStreamUpdate && ((update) => {
+            published = true;
+            onStreamUpdate(update);
+          })
+        }, () => deadline.refresh());
+        Logger.info(`Streamed API Response from ${this.provider} (${this.model}):`, {
+          status: response.status,
+          timestamp: new Date().toISOString(),
+          responseTimeMs: performance.now() - startTime,
+          toolCalls: reply.toolCalls.length
+        });
+        return reply;
+      }
+      
       // Update progress: Processing stage
-      this.updateProgress(
+      reportProgress(
         ProcessingStage.PROCESSING, 
         `Processing response from ${this.provider}...`
       );
@@ -185,34 +447,152 @@ class BaseService extends LLMService {
         Logger.debug(JSON.stringify(data, null, 2));
       }
       
-      // Use the adapter to extract content from the response
-      const content = this.adapter.parseResponse(data);
-      
-      // Calculate processing time
-      const endTime = performance.now();
-      const processingTime = ((endTime - startTime) / 1000).toFixed(2);
-      
-      // Update progress: Complete parsing stage
-      this.updateProgress(
-        ProcessingStage.EXECUTING, 
-        `Preparing to execute commands (completed in ${processingTime}s)...`
-      );
+      // Use the adapter to extract tool calls, or the content when there are none
+      const toolCalls = tools.length > 0 ? this.adapter.parseToolCalls(data) : [];
+      if (toolCalls.length > 0) {
+        Logger.info(`${this.provider} replied with ${toolCalls.length} tool call(s)`);
+        return { content: '', toolCalls };
+      }
       
-      // Parse the content into commands
-      return this.parseResponseContent(content);
+      return { content: this.adapter.parseResponse(data), toolCalls };
     } catch (error) {
-      Logger.error(`Error processing prompt with ${this.provider}:`, error);
+      const appError = deadline.timedOut
+        ? new AppError(`${this.provider} did not respond within ${Math.round(timeout / 1000)}s`, {
+            type: ErrorType.TIMEOUT,
+            source: this.provider,
+            originalError: error,
+            data: { timeoutMs: timeout }
+          })
+        : ApiErrorHandler.handleConnectionError(error, this.provider);
       
-      // Update progress with error
-      this.updateProgress(
-        ProcessingStage.ERROR, 
-        `Error: ${error.message}`
-      );
+      // Part of the plan may already be shown or running, so the request is not sent again
+      if (published) {
+        appError.retryable = false;
+      }
+      throw appError;
+    } finally {
+      deadline.clear();
+    }
+  }
+
+  /**
+   * Abort a request when the caller's signal aborts or when the reply takes too long
+   * Streamed replies refresh the timeout on every event, so only a stalled stream times out
+   * @param {AbortSignal} signal - Caller's signal, such as the run's cancel signal
+   * @param {number} timeout - Time allowed in milliseconds; 0 disables the timeout
+   * @returns {Object} - { signal, timedOut, refresh, clear }
+   */
+  startRequestTimeout(signal, timeout) {
+    const controller = new AbortController();
+    const deadline = { signal: controller.signal, timedOut: false };
+    let timer = null;
+    
+    const onAbort = () => controller.abort();
+    if (signal?.aborted) {
+      controller.abort();
+    } else {
+      signal?.addEventListener('abort', onAbort, { once: true });
+    }
+    
+    deadline.refresh = () => {
+      clearTimeout(timer);
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          deadline.timedOut = true;
+          controller.abort();
+        }, timeout);
+      }
+    };
+    deadline.clear = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    
+    deadline.refresh();
+    return deadline;
+  }
+
+  /**
+   * Read a streamed reply, reporting commands and progress steps as each one completes
+   * @param {Response} response - Fetch response with a text/event-stream body
+   * @param {Object} requestOptions - Per-request options; onStreamUpdate receives the partial plan
+   * @param {Function} onEvent - Called for every event, e.g. to keep a timeout from firing
+   * @returns {Promise<Object>} - { content, toolCalls }, as requestCompletion returns them
+   */
+  async readStreamedReply(response, requestOptions = {}, onEvent = null) {
+    const parser = new StreamingCommandParser();
+    const toolCalls = new ToolCallAccumulator();
+    const plan = { commands: [], progressSteps: [] };
+    let content = '';
+    
+    const publish = (command = null) => {
+      if (typeof requestOptions.onStreamUpdate === 'function') {
+        requestOptions.onStreamUpdate({
+          commands: [...plan.commands],
+          progressSteps: [...plan.progressSteps],
+          command
+        });
+      }
+    };
+    
+    const addToolCalls = (calls) => calls.forEach(call => {
+      if (call.name !== STATUS_TOOL_NAME) {
+        const command = { ...call.input, action: call.name };
+        plan.commands.push(command);
+        publish(command);
+      } else if (Array.isArray(call.input.progressSteps)) {
+        plan.progressSteps = call.input.progressSteps;
+        publish();
+      }
+    });
+    
+    await readServerSentEvents(response, (event) => {
+      if (onEvent) onEvent();
+      const delta = this.adapter.parseStreamEvent(event);
       
-      // Enhance the error with more context
-      const enhancedError = ApiErrorHandler.handleConnectionError(error, this.provider);
-      throw enhancedError;
+      if (delta.text) {
+        content += delta.text;
+        parser.push(delta.text).forEach(({ field, item }) => {
+          if (field === 'commands') {
+            plan.commands.push(item);
+            publish(item);
+          } else {
+            plan.progressSteps.push(item);
+            publish();
+          }
+        });
+      }
+      
+      addToolCalls(toolCalls.push(delta.toolCalls));
+    });
+    addToolCalls(toolCalls.end());
+    
+    if (config.get('app.features.detailedApiLogging', false)) {
+      Logger.debug(`Streamed content (${this.provider}):\n${content}`);
+    }
+    
+    const calls = toolCalls.getCalls();
+    if (!content && calls.length === 0) {
+      throw new Error(`No content found in streamed ${this.provider} response`);
+    }
+    
+    return { content: calls.length > 0 ? '' : content, toolCalls: calls };
+  }
+
+  /**
+   * Mask credential headers before they are logged
+   * @param {Object} headers - Request headers
+   * @returns {Object} - Headers safe for logging
+   */
+  redactHeaders(headers) {
+    const redacted = { ...headers };
+    if (redacted.Authorization) {
+      redacted.Authorization = 'Bearer [REDACTED]';
+    }
+    if (redacted['x-api-key']) {
+      redacted['x-api-key'] = '[REDACTED]';
     }
+    return redacted;
   }
 
   /**
@@ -227,64 +607,60 @@ class BaseService extends LLMService {
   }
 
   /**
-   * Extract structured commands from an LLM response
+   * Extract the JSON object from an LLM response
    * @param {string} content - Raw content from the LLM response
-   * @returns {Object} - Structured commands object
+   * @returns {Object} - Parsed JSON object
+   * @throws {Error} If the content holds no parsable JSON object
    */
-  parseResponseContent(content) {
+  extractResponseJson(content) {
+    // First, try to extract JSON from the content if it's wrapped in markdown code blocks
+    let jsonContent = content;
+    
+    // Check if content contains markdown code blocks with JSON
+    const jsonBlockMatch = content.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
+    if (jsonBlockMatch && jsonBlockMatch[1]) {
+      Logger.debug('Found JSON in code block, extracting...');
+      jsonContent = jsonBlockMatch[1];
+    }
+    
+    // Try parsing the content
+    let parsedCommands;
     try {
-      // First, try to extract JSON from the content if it's wrapped in markdown code blocks
-      let jsonContent = content;
-      
-      // Check if content contains markdown code blocks with JSON
-      const jsonBlockMatch = content.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
-      if (jsonBlockMatch && jsonBlockMatch[1]) {
-        Logger.debug('Found JSON in code block, extracting...');
-        jsonContent = jsonBlockMatch[1];
-      }
+      parsedCommands = JSON.parse(jsonContent);
+      Logger.debug('Successfully parsed JSON directly');
+    } catch (initialError) {
+      // If that fails, try to find any JSON object in the text
+      Logger.debug('Initial JSON parse failed:', initialError.message);
       
-      // Try parsing the content
-      let parsedCommands;
-      try {
-        parsedCommands = JSON.parse(jsonContent);
-        Logger.debug('Successfully parsed JSON directly');
-      } catch (initialError) {
-        // If that fails, try to find any JSON object in the text
-        Logger.debug('Initial JSON parse failed:', initialError.message);
-        
-        const jsonObjectMatch = content.match(/(\{[\s\S]*"commands"[\s\S]*?\})/);
-        if (jsonObjectMatch && jsonObjectMatch[1]) {
-          Logger.debug('Found potential JSON object, attempting to parse...');
-          jsonContent = jsonObjectMatch[1];
-          try {
-            parsedCommands = JSON.parse(jsonContent);
-            Logger.debug('Successfully parsed extracted JSON object');
-          } catch (extractError) {
-            Logger.error('Failed to parse extracted JSON:', extractError.message);
-            throw extractError;
-          }
-        } else {
-          Logger.error('No JSON object found in content');
-          throw initialError;
+      const jsonObjectMatch = content.match(/(\{[\s\S]*"commands"[\s\S]*?\})/);
+      if (jsonObjectMatch && jsonObjectMatch[1]) {
+        Logger.debug('Found potential JSON object, attempting to parse...');
+        jsonContent = jsonObjectMatch[1];
+        try {
+          parsedCommands = JSON.parse(jsonContent);
+          Logger.debug('Successfully parsed extracted JSON object');
+        } catch (extractError) {
+          Logger.error('Failed to parse extracted JSON:', extractError.message);
+          throw extractError;
         }
+      } else {
+        Logger.error('No JSON object found in content');
+        throw initialError;
       }
-      
-      return parsedCommands;
-    } catch (parseError) {
-      Logger.error('Failed to parse JSON response:', parseError);
-      
-      // Use the error handler to create a standardized fallback response
-      return ApiErrorHandler.handleParsingError(parseError, content);
     }
+    
+    return parsedCommands;
   }
 
   /**
    * Get the system prompt for LLM service
    * @param {boolean} hasPageContext - Whether page context is provided
+   * @param {boolean} toolCalling - Whether the commands are offered as tools
    * @returns {string} - System prompt string
    */
-  getSystemPrompt(hasPageContext = false) {
-    return PromptTemplates.getBaseSystemPrompt(hasPageContext);
+  getSystemPrompt(hasPageContext = false, toolCalling = false) {
+    const basePrompt = PromptTemplates.getBaseSystemPrompt(hasPageContext);
+    return toolCalling ? `${basePrompt}\n\n${PromptTemplates.getToolCallingPrompt()}` : basePrompt;
   }
 
   /**
@@ -292,16 +668,52 @@ class BaseService extends LLMService {
    * @returns {Promise<boolean>} - True if connection is successful
    */
   async testConnection() {
-    if (!this.apiKey) {
+    const result = await this.runConnectionTest();
+    return result.success;
+  }
+
+  /**
+   * Send the adapter's test request and classify the outcome
+   * @returns {Promise<Object>} - Result with success, errorType, message, detail, statusCode and latencyMs
+   */
+  async runConnectionTest() {
+    const baseResult = {
+      provider: this.provider,
+      model: this.model
+    };
+    
+    if (!this.apiKey && this.requiresApiKey) {
       Logger.error(`No API key provided for ${this.provider} connection test`);
-      return false;
+      return {
+        ...baseResult,
+        success: false,
+        errorType: ErrorType.CONFIGURATION,
+        message: `API key is required for ${this.provider}.`
+      };
+    }
+    
+    if (!this.apiEndpoint) {
+      Logger.error(`No API endpoint provided for ${this.provider} connection test`);
+      return {
+        ...baseResult,
+        success: false,
+        errorType: ErrorType.CONFIGURATION,
+        message: `API endpoint is required for ${this.provider}.`
+      };
     }
     
     if (!this.adapter) {
       Logger.error(`No adapter available for provider: ${this.provider}`);
-      return false;
+      return {
+        ...baseResult,
+        success: false,
+        errorType: ErrorType.CONFIGURATION,
+        message: `No adapter available for provider: ${this.provider}`
+      };
     }
 
+    const startTime = performance.now();
+    
     try {
       Logger.info(`Testing connection to ${this.provider} API (${this.apiEndpoint})`);
       
@@ -315,7 +727,7 @@ class BaseService extends LLMService {
       Logger.info(`API Test Request to ${this.provider}:`, {
         endpoint: this.apiEndpoint,
         method: 'POST',
-        headers: { ...headers, Authorization: 'Bearer [REDACTED]' }
+        headers: this.redactHeaders(headers)
       });
       
       // Detailed API logging when enabled
@@ -326,23 +738,36 @@ class BaseService extends LLMService {
       }
       
       // Make the API request
-      const startTime = performance.now();
       const response = await fetch(this.apiEndpoint, {
         method: 'POST',
         headers,
         body: JSON.stringify(testPayload)
       });
+      const latencyMs = Math.round(performance.now() - startTime);
       
       // Basic test response logging
       Logger.info(`API Test Response from ${this.provider}:`, {
         status: response.status,
         statusText: response.statusText,
         timestamp: new Date().toISOString(),
-        responseTimeMs: performance.now() - startTime
+        responseTimeMs: latencyMs
       });
       
+      if (!response.ok) {
+        const error = await ApiErrorHandler.handleApiError(response, this.provider);
+        return {
+          ...baseResult,
+          success: false,
+          errorType: error.type,
+          statusCode: response.status,
+          message: error.getUserMessage(),
+          detail: error.message,
+          latencyMs
+        };
+      }
+      
       // Detailed API logging when enabled
-      if (config.get('app.features.detailedApiLogging', false) && response.ok) {
+      if (config.get('app.features.detailedApiLogging', false)) {
         try {
           const responseData = await response.clone().json();
           Logger.debug(`Test response data (${this.provider}):`);
@@ -352,10 +777,24 @@ class BaseService extends LLMService {
         }
       }
       
-      return response.ok;
+      return {
+        ...baseResult,
+        success: true,
+        message: `Connected to ${this.provider} in ${latencyMs}ms`,
+        latencyMs
+      };
     } catch (error) {
       Logger.error(`Error testing connection to ${this.provider}:`, error);
-      return false;
+      
+      const appError = ApiErrorHandler.handleConnectionError(error, this.provider);
+      return {
+        ...baseResult,
+        success: false,
+        errorType: appError.type,
+        message: appError.getUserMessage(),
+        detail: appError.message,
+        latencyMs: Math.round(performance.now() - startTime)
+      };
     }
   }
 }
@@ -0,0 +1,40 @@
+/**
+ * Claude Service Implementation
+ * Uses the enhanced BaseService class with adapter pattern
+ */
+import BaseService from './base-service.js';
+import { Logger } from '../src/shared/utils';
+
+/**
+ * Claude Service Implementation
+ * Handles communication with the Anthropic Messages API
+ * @extends BaseService
+ */
+class ClaudeService extends BaseService {
+  /**
+   * Initialize the Claude service
+   * @param {Object} config - Configuration object for the service
+   * @param {string} config.apiKey - Anthropic API key
+   * @param {string} config.model - Claude model to use
+   * @param {number} config.temperature - Sampling temperature (0.0 to 1.0)
+   * @param {number} config.maxTokens - Maximum tokens to generate
+   * @param {boolean} config.useToolCalling - Whether to request commands as tool calls
+   */
+  constructor(config = {}) {
+    super({
+      apiKey: config.apiKey || '',
+      model: config.model || 'claude-3-7-sonnet-20250219',
+      temperature: config.temperature || 0.3,
+      maxTokens: config.maxTokens || 1024,
+      apiEndpoint: 'https://api.anthropic.com/v1/messages',
+      provider: 'claude',
+      adapterOptions: {
+        useToolCalling: config.useToolCalling !== false
+      }
+    });
+
+    Logger.info(`Initialized Claude service with model: ${this.model}`);
+  }
+}
+
+export default ClaudeService;
@@ -0,0 +1,71 @@
+/**
+ * Command Descriptions Module
+ * Turns automation commands into short plain-language sentences for the sidebar
+ */
+
+/**
+ * Human-readable names for wait conditions
+ */
+const WAIT_CONDITIONS = {
+  appear: 'to appear',
+  disappear: 'to disappear',
+  enabled: 'to become enabled',
+  text: 'for text',
+  url: 'for the URL to match',
+  networkIdle: 'for network activity to settle'
+};
+
+/**
+ * Name the element a command targets
+ * @param {Object} command - Command
+ * @param {string} fallback - Name to use when the command carries no description
+ * @returns {string} - Element name
+ */
+function describeTarget(command, fallback = 'the element') {
+  return command.description ? `"${command.description}"` : fallback;
+}
+
+/**
+ * Describe a command in plain language
+ * @param {Object} command - Command
+ * @returns {string} - Description, e.g. 'Type "alice" into "Email field"'
+ */
+function describeCommand(command) {
+  switch (command.action) {
+    case 'navigate':
+      return `Go to ${command.url}`;
+    case 'click':
+      return `Click ${describeTarget(command)}`;
+    case 'fill':
+      return `Enter "${command.value}" into ${describeTarget(command, 'the field')}`;
+    case 'type':
+      return `Type "${command.value}" into ${describeTarget(command, 'the focused field')}`;
+    case 'press':
+      return `Press ${command.key}${command.xpath || command.description ? ` on ${describeTarget(command)}` : ''}`;
+    case 'scroll':
+      if (command.mode === 'intoView') {
+        return `Scroll to ${describeTarget(command)}`;
+      }
+      if (command.mode === 'untilEnd') {
+        return 'Scroll to the end of the page';
+      }
+      return `Scroll ${command.direction || 'down'} by ${command.amount && command.amount !== 'page' ? `${command.amount}px` : 'a page'}`;
+    case 'waitFor': {
+      const condition = WAIT_CONDITIONS[command.condition] || command.condition;
+      const subject = command.condition === 'text' ? ` "${command.text}"` :
+                      command.condition === 'url' ? ` ${command.url}` :
+                      command.condition === 'networkIdle' ? '' : ` (${describeTarget(command)})`;
+      return `Wait ${condition}${subject}`;
+    }
+    case 'openTab':
+      return `Open ${command.url} in a new tab`;
+    case 'switchTab':
+      return `Switch to tab ${command.tabId}`;
+    case 'closeTab':
+      return command.tabId !== undefined ? `Close tab ${command.tabId}` : 'Close the current tab';
+    default:
+      return `Run ${command.action}`;
+  }
+}
+
+export { describeCommand };
@@ -3,6 +3,378 @@
  * Implements the Command pattern for browser automation
  */
 import { findElementByXPath, getXPath } from 'browsermagic-dom';
+import { findElementByDescription } from './element-matcher.js';
+import { locateElement } from './element-fingerprint.js';
+import { drawHighlights } from './element-highlighter.js';
+import { getSensitiveFieldKind } from './sensitive-fields.js';
+import { revealSecrets, hideSecrets } from './redaction.js';
+
+/**
+ * Named keys with their KeyboardEvent code and legacy keyCode
+ */
+const NAMED_KEYS = {
+  Enter: { code: 'Enter', keyCode: 13 },
+  Tab: { code: 'Tab', keyCode: 9 },
+  Escape: { code: 'Escape', keyCode: 27 },
+  Backspace: { code: 'Backspace', keyCode: 8 },
+  Delete: { code: 'Delete', keyCode: 46 },
+  Space: { key: ' ', code: 'Space', keyCode: 32 },
+  ArrowUp: { code: 'ArrowUp', keyCode: 38 },
+  ArrowDown: { code: 'ArrowDown', keyCode: 40 },
+  ArrowLeft: { code: 'ArrowLeft', keyCode: 37 },
+  ArrowRight: { code: 'ArrowRight', keyCode: 39 },
+  Home: { code: 'Home', keyCode: 36 },
+  End: { code: 'End', keyCode: 35 },
+  PageUp: { code: 'PageUp', keyCode: 33 },
+  PageDown: { code: 'PageDown', keyCode: 34 }
+};
+
+/**
+ * Modifier aliases accepted in key combos such as "Control+a"
+ */
+const MODIFIER_ALIASES = {
+  control: 'ctrlKey',
+  ctrl: 'ctrlKey',
+  shift: 'shiftKey',
+  alt: 'altKey',
+  option: 'altKey',
+  meta: 'metaKey',
+  cmd: 'metaKey',
+  command: 'metaKey'
+};
+
+/**
+ * Describe a single key for KeyboardEvent construction
+ * @param {string} key - Key name ("Enter", "ArrowDown") or a single character
+ * @returns {Object} - { key, code, keyCode, printable }
+ */
+function getKeyDefinition(key) {
+  const named = NAMED_KEYS[key] || NAMED_KEYS[Object.keys(NAMED_KEYS).find(name => name.toLowerCase() === key.toLowerCase())];
+  if (named) {
+    return { key: named.key || key, code: named.code, keyCode: named.keyCode, printable: named.code === 'Space' };
+  }
+  
+  if (key.length !== 1) {
+    throw new Error(`Unsupported key: ${key}`);
+  }
+  
+  const upper = key.toUpperCase();
+  let code = '';
+  if (/[A-Z]/.test(upper)) {
+    code = `Key${upper}`;
+  } else if (/[0-9]/.test(key)) {
+    code = `Digit${key}`;
+  }
+  
+  return { key, code, keyCode: upper.charCodeAt(0), printable: true };
+}
+
+/**
+ * Parse a key combo such as "Control+Shift+k" into a key and modifier flags
+ * @param {string} combo - Key combo
+ * @returns {Object} - { keyDef, modifiers }
+ */
+function parseKeyCombo(combo) {
+  // A lone "+" is a key, not a separator
+  const parts = combo === '+' ? ['+'] : combo.split('+').map(part => part.trim()).filter(Boolean);
+  const modifiers = { ctrlKey: false, shiftKey: false, altKey: false, metaKey: false };
+  
+  parts.slice(0, -1).forEach(part => {
+    const flag = MODIFIER_ALIASES[part.toLowerCase()];
+    if (!flag) {
+      throw new Error(`Unknown modifier "${part}" in key combo "${combo}"`);
+    }
+    modifiers[flag] = true;
+  });
+  
+  return { keyDef: getKeyDefinition(parts[parts.length - 1] || ''), modifiers };
+}
+
+/**
+ * Dispatch a keyboard event on a target
+ * @param {Element} target - Event target
+ * @param {string} type - 'keydown', 'keypress' or 'keyup'
+ * @param {Object} keyDef - Key definition from getKeyDefinition
+ * @param {Object} modifiers - Modifier flags
+ * @returns {boolean} - False if a listener called preventDefault
+ */
+function dispatchKeyEvent(target, type, keyDef, modifiers = {}) {
+  let charCode = 0;
+  if (type === 'keypress') {
+    charCode = keyDef.printable ? keyDef.key.charCodeAt(0) : keyDef.keyCode;
+  }
+  const event = new KeyboardEvent(type, {
+    key: keyDef.key,
+    code: keyDef.code,
+    keyCode: type === 'keypress' ? charCode : keyDef.keyCode,
+    which: type === 'keypress' ? charCode : keyDef.keyCode,
+    charCode,
+    bubbles: true,
+    cancelable: true,
+    composed: true,
+    ...modifiers
+  });
+  
+  return target.dispatchEvent(event);
+}
+
+/**
+ * Set a form control's value through the native prototype setter
+ * Frameworks like React patch the instance setter to track values, so assigning
+ * element.value directly is treated as a no-op and reverted on the next render
+ * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} element - Form control
+ * @param {string} value - New value
+ */
+function setNativeValue(element, value) {
+  let prototype = HTMLInputElement.prototype;
+  if (element instanceof HTMLTextAreaElement) {
+    prototype = HTMLTextAreaElement.prototype;
+  } else if (element instanceof HTMLSelectElement) {
+    prototype = HTMLSelectElement.prototype;
+  }
+  
+  const descriptor = Object.getOwnPropertyDescriptor(prototype, 'value');
+  if (descriptor && descriptor.set) {
+    descriptor.set.call(element, value);
+  } else {
+    element.value = value;
+  }
+}
+
+/**
+ * Insert text at the caret of an input, textarea or contenteditable element
+ * @param {Element} element - Target element
+ * @param {string} text - Text to insert
+ */
+function insertTextAtCursor(element, text) {
+  if (element.isContentEditable) {
+    document.execCommand('insertText', false, text);
+    return;
+  }
+  
+  try {
+    // setRangeText keeps the caret position and respects the current selection
+    const start = element.selectionStart ?? element.value.length;
+    const end = element.selectionEnd ?? element.value.length;
+    element.setRangeText(text, start, end, 'end');
+  } catch (error) {
+    // Input types such as email and number do not support selection APIs
+    setNativeValue(element, element.value + text);
+  }
+  
+  element.dispatchEvent(new InputEvent('input', {
+    bubbles: true,
+    inputType: 'insertText',
+    data: text
+  }));
+}
+
+/**
+ * Watch whether page scripts submitted a form or navigated while handling a key
+ * Page listeners are invisible to content scripts, so handling is inferred from
+ * a submit event or a URL change while the watch is running; a cancelled key
+ * event is reported by dispatchKeyEvent itself
+ * @returns {Object} - { handled: () => boolean, stop: () => void }
+ */
+function watchKeyHandling() {
+  const startUrl = location.href;
+  let submitted = false;
+  const onSubmit = () => { submitted = true; };
+
+  document.addEventListener('submit', onSubmit, true);
+
+  return {
+    handled: () => submitted || location.href !== startUrl,
+    stop: () => document.removeEventListener('submit', onSubmit, true)
+  };
+}
+
+/**
+ * Get the focusable elements of the document in tab order
+ * @returns {Element[]} - Focusable elements
+ */
+function getFocusableElements() {
+  const selector = 'a[href], button, input, select, textarea, [tabindex], [contenteditable="true"]';
+  return Array.from(document.querySelectorAll(selector)).filter(el =>
+    !el.disabled &&
+    el.tabIndex >= 0 &&
+    el.getClientRects().length > 0
+  );
+}
+
+/**
+ * Wait timeouts in milliseconds
+ * The maximum stays below the content script's 25s response timeout
+ */
+const DEFAULT_WAIT_TIMEOUT = 10000;
+const MAX_WAIT_TIMEOUT = 20000;
+const ACTIONABLE_TIMEOUT = 5000;
+const WAIT_POLL_INTERVAL = 100;
+const NETWORK_IDLE_TIME = 500;
+
+/**
+ * Scroll steps for untilEnd mode; each step waits a second for new content,
+ * so the maximum also stays below the content script's response timeout
+ */
+const DEFAULT_MAX_SCROLLS = 10;
+const MAX_SCROLLS = 20;
+const SCROLL_LOAD_WAIT = 1000;
+
+/**
+ * Longest total delay between keystrokes of a type command; longer text is typed
+ * faster so the command stays below the content script's response timeout
+ */
+const MAX_TYPING_DELAY_TOTAL = 10000;
+
+/**
+ * Actions that can target an element by description instead of XPath
+ */
+const DESCRIBED_ACTIONS = ['click', 'fill', 'type'];
+
+/**
+ * Actions that leave the current page, so later commands cannot be previewed on it
+ */
+const PAGE_CHANGING_ACTIONS = ['navigate', 'openTab', 'switchTab', 'closeTab'];
+
+/**
+ * Longest value shown in a preview label
+ */
+const PREVIEW_VALUE_LENGTH = 30;
+
+/**
+ * Poll a condition until it returns a truthy value or the timeout elapses
+ * Stops early when the run is cancelled
+ * @param {Function} check - Returns a truthy value once the condition holds
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<*>} - The truthy value, or null on timeout
+ */
+async function waitForCondition(check, timeout) {
+  const deadline = Date.now() + timeout;
+
+  while (true) {
+    const value = check();
+    if (value) {
+      return value;
+    }
+
+    if (CommandExecutor.cancelRequested) {
+      throw new Error('Execution cancelled by user');
+    }
+
+    if (Date.now() >= deadline) {
+      return null;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, WAIT_POLL_INTERVAL));
+  }
+}
+
+/**
+ * Check whether an element is rendered and not hidden
+ * Checkboxes and radios hidden behind a custom-styled label count as visible
+ * when one of their labels is
+ * @param {Element} element - Element to check
+ * @returns {boolean} - True if visible
+ */
+function isElementVisible(element) {
+  const rendered = (el) => {
+    if (el.getClientRects().length === 0) return false;
+    return window.getComputedStyle(el).visibility !== 'hidden';
+  };
+
+  if (rendered(element)) {
+    return true;
+  }
+
+  return Array.from(element.labels || []).some(rendered);
+}
+
+/**
+ * Check whether an element accepts interaction
+ * @param {Element} element - Element to check
+ * @returns {boolean} - True if enabled
+ */
+function isElementEnabled(element) {
+  // :disabled also covers controls inside a disabled fieldset
+  return !element.matches(':disabled') && element.getAttribute('aria-disabled') !== 'true';
+}
+
+/**
+ * Wait until the element at an XPath exists, is visible and is enabled
+ * When the XPath misses, the element is relocated from its snapshot fingerprint
+ * @param {string} xpath - XPath of the element
+ * @param {Object} options - Wait options
+ * @param {string} options.noun - Element description used in error messages
+ * @param {Object} options.fingerprint - Snapshot fingerprint of the element
+ * @param {number} options.timeout - Timeout in milliseconds
+ * @returns {Promise<Object>} - { element, strategy } for the actionable element
+ */
+async function waitForActionable(xpath, { noun = 'element', fingerprint, timeout = ACTIONABLE_TIMEOUT } = {}) {
+  const located = await waitForCondition(() => {
+    const candidate = locateElement(xpath, fingerprint);
+    return candidate && isElementVisible(candidate.element) && isElementEnabled(candidate.element) ? candidate : null;
+  }, timeout);
+
+  if (located) {
+    return located;
+  }
+
+  // Report why the element never became actionable
+  const current = locateElement(xpath, fingerprint)?.element;
+  if (!current) {
+    throw new Error(`No ${noun} found matching XPath: ${xpath}`);
+  }
+  if (!isElementVisible(current)) {
+    throw new Error(`The ${noun} matching XPath ${xpath} stayed hidden for ${timeout}ms`);
+  }
+  throw new Error(`The ${noun} matching XPath ${xpath} stayed disabled for ${timeout}ms`);
+}
+
+/**
+ * Describe how a command found its element, for its result
+ * @param {Element} element - Element the command acted on
+ * @param {string} strategy - Locator strategy that matched
+ * @returns {Object} - { locatedBy } plus the element's current XPath when it was relocated
+ */
+function describeLocation(element, strategy) {
+  if (strategy === 'xpath') {
+    return { locatedBy: strategy };
+  }
+  
+  console.log(`XPath missed; relocated element by ${strategy}`);
+  return { locatedBy: strategy, relocatedXPath: getXPath(element) };
+}
+
+/**
+ * Test a URL against a pattern
+ * Patterns wrapped in slashes are regular expressions, patterns with "*" are
+ * wildcards, and anything else matches as a substring
+ * @param {string} url - URL to test
+ * @param {string} pattern - Pattern to match
+ * @returns {boolean} - True if the URL matches
+ */
+function matchesUrlPattern(url, pattern) {
+  const regexLiteral = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexLiteral) {
+    return new RegExp(regexLiteral[1], regexLiteral[2]).test(url);
+  }
+
+  if (pattern.includes('*')) {
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${escaped}$`).test(url);
+  }
+
+  return url.includes(pattern);
+}
+
+/**
+ * Collapse whitespace and lowercase text for loose comparisons
+ * @param {string} text - Text to normalize
+ * @returns {string} - Normalized text
+ */
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
 
 /**
  * Base Command class
@@ -26,11 +398,13 @@ class ClickCommand extends Command {
   /**
    * Create a click command
    * @param {string} xpath - XPath to the element to click
+   * @param {Object} fingerprint - Snapshot fingerprint used if the XPath stops matching
    */
-  constructor(xpath) {
+  constructor(xpath, fingerprint = null) {
     super();
     this.action = 'click';
     this.xpath = xpath;
+    this.fingerprint = fingerprint;
   }
 
   /**
@@ -47,21 +421,17 @@ class ClickCommand extends Command {
         };
       }
       
-      // Use browsermagic-dom's findElementByXPath function
-      const element = findElementByXPath(this.xpath);
-      
-      // If no element found, throw error
-      if (!element) {
-        throw new Error(`No element found matching XPath: ${this.xpath}`);
-      }
-      
+      // Wait for the element to render and become enabled
+      const { element, strategy } = await waitForActionable(this.xpath, { fingerprint: this.fingerprint });
+
       // Click the element
       element.click();
       
       return {
         success: true,
         action: 'click',
-        xpath: this.xpath
+        xpath: this.xpath,
+        ...describeLocation(element, strategy)
       };
     } catch (error) {
       return {
@@ -81,14 +451,16 @@ class ClickCommand extends Command {
 class FillCommand extends Command {
   /**
    * Create a fill command
-   * @param {string} xpath - XPath to the input element
-   * @param {string} value - Value to fill into the input
+   * @param {string} xpath - XPath to the input, select or contenteditable element
+   * @param {string|boolean} value - Value to fill in, or true/false for checkboxes and radios
+   * @param {Object} fingerprint - Snapshot fingerprint used if the XPath stops matching
    */
-  constructor(xpath, value) {
+  constructor(xpath, value, fingerprint = null) {
     super();
     this.action = 'fill';
     this.xpath = xpath;
     this.value = value;
+    this.fingerprint = fingerprint;
   }
 
   /**
@@ -105,22 +477,24 @@ class FillCommand extends Command {
         };
       }
       
-      // Use browsermagic-dom's findElementByXPath function
-      const element = findElementByXPath(this.xpath);
-      
-      // If no element found, throw error
-      if (!element) {
-        throw new Error(`No input found matching XPath: ${this.xpath}`);
-      }
-      
-      // Fill the input
+      // Wait for the input to render and become enabled
+      const { element, strategy } = await waitForActionable(this.xpath, {
+        noun: 'input',
+        fingerprint: this.fingerprint
+      });
+
+      // Fill the input and confirm the page kept the value
       await this.fillElement(element);
+      await this.verifyValue(element);
       
       return {
         success: true,
         action: 'fill',
         xpath: this.xpath,
-        value: this.value
+        value: this.value,
+        verified: true,
+        sensitive: getSensitiveFieldKind(element),
+        ...describeLocation(element, strategy)
       };
     } catch (error) {
       return {
@@ -142,14 +516,22 @@ class FillCommand extends Command {
     element.focus();
     
     const tagName = element.tagName.toLowerCase();
+    const inputType = (element.type || '').toLowerCase();
     
     // Handle different input types
     if (tagName === 'select') {
       this.handleSelectElement(element);
+    } else if (tagName === 'input' && (inputType === 'checkbox' || inputType === 'radio')) {
+      // Clicking fires the same events a user toggle would
+      this.handleCheckableElement(element);
+      return;
+    } else if (element.isContentEditable) {
+      this.handleContentEditable(element);
+      return;
     } else {
-      // Default behavior for text inputs
-      element.value = '';
-      element.value = this.value;
+      // Default behavior for text inputs, via the native setter so frameworks see the change
+      setNativeValue(element, '');
+      setNativeValue(element, String(this.value ?? ''));
     }
     
     // Dispatch input and change events to trigger any listeners
@@ -157,13 +539,117 @@ class FillCommand extends Command {
     element.dispatchEvent(new Event('change', { bubbles: true }));
   }
   
+  /**
+   * Interpret the command value as a checked state
+   * @returns {boolean} - Desired checked state
+   */
+  getDesiredChecked() {
+    if (typeof this.value === 'boolean') return this.value;
+    
+    const normalized = String(this.value ?? '').trim().toLowerCase();
+    if (['true', 'on', 'yes', 'checked', '1'].includes(normalized)) return true;
+    if (['false', 'off', 'no', 'unchecked', '0', ''].includes(normalized)) return false;
+    
+    throw new Error(`Checkbox and radio values must be true or false, got "${this.value}"`);
+  }
+  
+  /**
+   * Handle checkbox and radio inputs
+   * @param {HTMLInputElement} element - The checkbox or radio input
+   */
+  handleCheckableElement(element) {
+    const desired = this.getDesiredChecked();
+    
+    if (element.checked === desired) {
+      return;
+    }
+    
+    if (element.type === 'radio' && !desired) {
+      throw new Error('Cannot uncheck a radio button; select a different option instead');
+    }
+    
+    element.click();
+  }
+  
+  /**
+   * Handle contenteditable editors (rich text fields, chat composers)
+   * Replaces the contents through the editing pipeline so editor frameworks stay in sync
+   * @param {HTMLElement} element - The contenteditable element
+   */
+  handleContentEditable(element) {
+    const value = String(this.value ?? '');
+    
+    // Select the existing contents so the insertion replaces them
+    const selection = window.getSelection();
+    const range = document.createRange();
+    range.selectNodeContents(element);
+    selection.removeAllRanges();
+    selection.addRange(range);
+    
+    const inserted = value
+      ? document.execCommand('insertText', false, value)
+      : document.execCommand('delete', false, null);
+    
+    if (!inserted) {
+      // Fall back to a direct write when the editing commands are unavailable
+      element.textContent = value;
+      element.dispatchEvent(new InputEvent('input', {
+        bubbles: true,
+        inputType: 'insertText',
+        data: value
+      }));
+    }
+  }
+  
+  /**
+   * Verify that the filled value survived the page's own event handlers
+   * @param {Element} element - The filled element
+   */
+  async verifyValue(element) {
+    // Let framework re-renders triggered by the events run first
+    await new Promise(resolve => setTimeout(resolve, 50));
+    
+    const tagName = element.tagName.toLowerCase();
+    const inputType = (element.type || '').toLowerCase();
+    
+    if (tagName === 'input' && (inputType === 'checkbox' || inputType === 'radio')) {
+      const desired = this.getDesiredChecked();
+      if (element.checked !== desired) {
+        throw new Error(`Value did not stick: expected ${inputType} to be ${desired ? 'checked' : 'unchecked'}`);
+      }
+      return;
+    }
+    
+    if (tagName === 'select') {
+      // handleSelectElement already resolved the option; just make sure it is still selected
+      if (this.selectedOptionValue !== undefined && element.value !== this.selectedOptionValue) {
+        throw new Error(`Value did not stick: dropdown shows "${element.value}"`);
+      }
+      return;
+    }
+    
+    const expected = String(this.value ?? '');
+    const actual = element.isContentEditable ? element.innerText : element.value;
+    
+    // Input masks may reformat the value, so compare letters and digits only
+    const normalize = (text) => String(text ?? '').replace(/[^\p{L}\p{N}]/gu, '').toLowerCase();
+    
+    const matches = element.isContentEditable
+      ? normalize(actual).includes(normalize(expected))
+      : actual === expected || normalize(actual) === normalize(expected);
+    
+    if (!matches) {
+      throw new Error(`Value did not stick: expected "${expected}", found "${actual}"`);
+    }
+  }
+  
   /**
    * Handle select dropdown elements
    * @param {HTMLSelectElement} selectElement - The select element
    */
   handleSelectElement(selectElement) {
     const options = Array.from(selectElement.options);
-    const value = this.value;
+    const value = String(this.value ?? '');
     
     // Try exact match on value or text
     let option = options.find(opt => 
@@ -177,7 +663,8 @@ class FillCommand extends Command {
     }
     
     if (option) {
-      selectElement.value = option.value;
+      setNativeValue(selectElement, option.value);
+      this.selectedOptionValue = option.value;
     } else {
       throw new Error(`Could not find option matching "${value}" in dropdown`);
     }
@@ -236,6 +723,583 @@ class NavigateCommand extends Command {
   }
 }
 
+/**
+ * Scroll Command - Handles page and container scrolling
+ * @extends Command
+ */
+class ScrollCommand extends Command {
+  /**
+   * Create a scroll command
+   * @param {string} xpath - XPath to a scrollable container or target element (optional, defaults to the page)
+   * @param {Object} options - Scroll options
+   * @param {string} options.mode - 'by' to scroll by an amount, 'intoView' to reveal the element,
+   *                                'untilEnd' to keep scrolling down until no new content loads
+   * @param {string} options.direction - 'up', 'down', 'left' or 'right' (for 'by' mode)
+   * @param {number|string} options.amount - Pixels to scroll, or 'page' for one viewport (for 'by' mode)
+   * @param {number} options.maxScrolls - Maximum scroll steps (for 'untilEnd' mode)
+   */
+  constructor(xpath, options = {}) {
+    super();
+    this.action = 'scroll';
+    this.xpath = xpath;
+    this.mode = options.mode || 'by';
+    this.direction = options.direction || 'down';
+    this.amount = options.amount || 'page';
+    this.maxScrolls = Math.min(Number(options.maxScrolls) > 0 ? Number(options.maxScrolls) : DEFAULT_MAX_SCROLLS, MAX_SCROLLS);
+  }
+
+  /**
+   * Execute the scroll command
+   * @returns {Promise<Object>} - Scroll result
+   */
+  async execute() {
+    try {
+      let element = null;
+      if (this.xpath) {
+        element = findElementByXPath(this.xpath);
+        if (!element) {
+          throw new Error(`No element found matching XPath: ${this.xpath}`);
+        }
+      }
+      
+      let details;
+      switch (this.mode) {
+        case 'intoView':
+          if (!element) {
+            throw new Error('Scroll into view requires an xpath');
+          }
+          element.scrollIntoView({ block: 'center', inline: 'nearest' });
+          await this.settle();
+          details = { mode: 'intoView' };
+          break;
+        case 'untilEnd':
+          details = await this.scrollUntilEnd(this.getScrollTarget(element));
+          break;
+        case 'by':
+          details = await this.scrollBy(this.getScrollTarget(element));
+          break;
+        default:
+          throw new Error(`Unknown scroll mode: ${this.mode}`);
+      }
+      
+      return {
+        success: true,
+        action: 'scroll',
+        xpath: this.xpath,
+        ...details
+      };
+    } catch (error) {
+      return {
+        success: false,
+        action: this.action,
+        error: error.message,
+        xpath: this.xpath,
+        mode: this.mode
+      };
+    }
+  }
+
+  /**
+   * Resolve the element that should be scrolled
+   * @param {Element|null} element - Element from the xpath, if any
+   * @returns {Element} - Scrollable element
+   */
+  getScrollTarget(element) {
+    return element || document.scrollingElement || document.documentElement;
+  }
+
+  /**
+   * Scroll a target by a fixed amount in one direction
+   * @param {Element} target - Element to scroll
+   * @returns {Promise<Object>} - Scroll details
+   */
+  async scrollBy(target) {
+    const isPage = target === document.scrollingElement || target === document.documentElement;
+    const vertical = this.direction === 'up' || this.direction === 'down';
+    
+    // 'page' scrolls most of a viewport so some context stays visible
+    let pixels = Number(this.amount);
+    if (this.amount === 'page' || Number.isNaN(pixels)) {
+      const viewport = vertical
+        ? (isPage ? window.innerHeight : target.clientHeight)
+        : (isPage ? window.innerWidth : target.clientWidth);
+      pixels = Math.round(viewport * 0.8);
+    }
+    
+    const sign = this.direction === 'up' || this.direction === 'left' ? -1 : 1;
+    const before = { top: target.scrollTop, left: target.scrollLeft };
+    
+    target.scrollBy({
+      top: vertical ? sign * pixels : 0,
+      left: vertical ? 0 : sign * pixels
+    });
+    await this.settle();
+    
+    return {
+      mode: 'by',
+      direction: this.direction,
+      amount: pixels,
+      moved: target.scrollTop !== before.top || target.scrollLeft !== before.left,
+      scrollTop: target.scrollTop,
+      scrollLeft: target.scrollLeft
+    };
+  }
+
+  /**
+   * Scroll to the bottom repeatedly until the content stops growing
+   * Used for infinite feeds that load more items as you scroll
+   * @param {Element} target - Element to scroll
+   * @returns {Promise<Object>} - Scroll details
+   */
+  async scrollUntilEnd(target) {
+    const initialHeight = target.scrollHeight;
+    let scrolls = 0;
+    let reachedEnd = false;
+    
+    while (scrolls < this.maxScrolls) {
+      if (CommandExecutor.cancelRequested) {
+        throw new Error('Execution cancelled by user');
+      }
+      
+      const previousHeight = target.scrollHeight;
+      target.scrollTop = previousHeight;
+      scrolls++;
+      
+      // Give lazy loaders time to fetch and render the next batch
+      await new Promise(resolve => setTimeout(resolve, SCROLL_LOAD_WAIT));
+      
+      if (target.scrollHeight <= previousHeight) {
+        reachedEnd = true;
+        break;
+      }
+    }
+    
+    return {
+      mode: 'untilEnd',
+      scrolls,
+      reachedEnd,
+      loadedContent: target.scrollHeight > initialHeight,
+      scrollTop: target.scrollTop
+    };
+  }
+
+  /**
+   * Wait briefly for scroll-triggered rendering
+   * @returns {Promise<void>}
+   */
+  settle() {
+    return new Promise(resolve => setTimeout(resolve, 300));
+  }
+}
+
+/**
+ * Press Command - Sends a key press or shortcut to an element
+ * @extends Command
+ */
+class PressCommand extends Command {
+  /**
+   * Create a press command
+   * @param {string} xpath - XPath to the element receiving the key (optional, defaults to the focused element)
+   * @param {string} key - Key or combo, e.g. "Enter", "Tab", "Escape", "ArrowDown", "Control+a"
+   */
+  constructor(xpath, key) {
+    super();
+    this.action = 'press';
+    this.xpath = xpath;
+    this.key = key;
+  }
+
+  /**
+   * Execute the press command
+   * @returns {Promise<Object>} - Press result
+   */
+  async execute() {
+    try {
+      if (!this.key) {
+        throw new Error('Press command requires a key');
+      }
+      
+      const { keyDef, modifiers } = parseKeyCombo(this.key);
+      
+      let target = document.activeElement || document.body;
+      if (this.xpath) {
+        target = findElementByXPath(this.xpath);
+        if (!target) {
+          throw new Error(`No element found matching XPath: ${this.xpath}`);
+        }
+        target.focus();
+      }
+      
+      const watch = watchKeyHandling();
+      let notPrevented;
+      let handledByPage;
+      try {
+        notPrevented = dispatchKeyEvent(target, 'keydown', keyDef, modifiers);
+        
+        // Browsers also send keypress for Enter, and cancelling it stops the default action too
+        const sendsKeypress = (keyDef.printable || keyDef.code === 'Enter') && !modifiers.ctrlKey && !modifiers.metaKey;
+        if (notPrevented && sendsKeypress) {
+          notPrevented = dispatchKeyEvent(target, 'keypress', keyDef, modifiers);
+        }
+        
+        // Let handlers that defer their work to a promise or timer run first
+        await new Promise(resolve => setTimeout(resolve, 0));
+        handledByPage = watch.handled();
+      } finally {
+        watch.stop();
+      }
+      
+      // Synthetic events have no default action, so emulate the common ones
+      if (notPrevented) {
+        this.applyDefaultAction(target, keyDef, modifiers, handledByPage);
+      }
+      
+      dispatchKeyEvent(target, 'keyup', keyDef, modifiers);
+      
+      return {
+        success: true,
+        action: 'press',
+        xpath: this.xpath,
+        key: this.key
+      };
+    } catch (error) {
+      return {
+        success: false,
+        action: this.action,
+        error: error.message,
+        xpath: this.xpath,
+        key: this.key
+      };
+    }
+  }
+
+  /**
+   * Emulate the browser's default action for keys that scripts cannot trigger
+   * @param {Element} target - Element that received the key
+   * @param {Object} keyDef - Key definition
+   * @param {Object} modifiers - Modifier flags
+   * @param {boolean} handledByPage - Whether page scripts submitted or navigated in response to the key
+   */
+  applyDefaultAction(target, keyDef, modifiers, handledByPage = false) {
+    const hasModifier = modifiers.ctrlKey || modifiers.metaKey || modifiers.altKey;
+    
+    // A page that handled the key itself has already done what the default would
+    if (handledByPage && (keyDef.code === 'Enter' || keyDef.code === 'Space')) {
+      return;
+    }
+    
+    if (keyDef.code === 'Enter' && !hasModifier) {
+      // Enter in a single-line input submits its form
+      const tagName = target.tagName?.toLowerCase();
+      if (tagName === 'input' && target.form) {
+        target.form.requestSubmit ? target.form.requestSubmit() : target.form.submit();
+      } else if (tagName === 'button' || tagName === 'a') {
+        target.click();
+      }
+    } else if (keyDef.code === 'Tab' && !hasModifier) {
+      // Tab moves focus to the next (or previous with Shift) focusable element
+      const focusable = getFocusableElements();
+      const index = focusable.indexOf(target);
+      const next = focusable[index + (modifiers.shiftKey ? -1 : 1)];
+      if (next) {
+        next.focus();
+      }
+    } else if (keyDef.code === 'Space' && !hasModifier && target.tagName?.toLowerCase() === 'button') {
+      target.click();
+    }
+  }
+}
+
+/**
+ * Type Command - Types text character by character with realistic key events
+ * @extends Command
+ */
+class TypeCommand extends Command {
+  /**
+   * Create a type command
+   * @param {string} xpath - XPath to the input element (optional, defaults to the focused element)
+   * @param {string} text - Text to type
+   * @param {Object} options - Typing options
+   * @param {number} options.delay - Delay between keystrokes in milliseconds
+   * @param {boolean} options.clear - Whether to clear the existing value first
+   */
+  constructor(xpath, text, options = {}) {
+    super();
+    this.action = 'type';
+    this.xpath = xpath;
+    this.text = text;
+    this.delay = options.delay ?? 30;
+    this.clear = options.clear || false;
+  }
+
+  /**
+   * Execute the type command
+   * @returns {Promise<Object>} - Type result
+   */
+  async execute() {
+    try {
+      if (typeof this.text !== 'string') {
+        throw new Error('Type command requires a text string');
+      }
+      
+      let element = document.activeElement;
+      if (this.xpath) {
+        element = findElementByXPath(this.xpath);
+        if (!element) {
+          throw new Error(`No input found matching XPath: ${this.xpath}`);
+        }
+      }
+      
+      if (!element || element === document.body) {
+        throw new Error('Type command requires an xpath or a focused input');
+      }
+      
+      element.focus();
+      
+      if (this.clear) {
+        this.clearElement(element);
+      }
+      
+      const characters = Array.from(this.text);
+      let delay = Math.min(this.delay, Math.floor(MAX_TYPING_DELAY_TOTAL / Math.max(characters.length, 1)));
+      
+      // Browsers stretch repeated short timers to about 4ms, which would undo the cap
+      if (delay < 4) {
+        delay = 0;
+      }
+      
+      for (const char of characters) {
+        const keyDef = char === '\n' ? getKeyDefinition('Enter') : getKeyDefinition(char);
+        
+        const notPrevented = dispatchKeyEvent(element, 'keydown', keyDef);
+        if (notPrevented) {
+          dispatchKeyEvent(element, 'keypress', keyDef);
+          
+          // Single-line inputs drop newlines
+          if (!(char === '\n' && element.tagName.toLowerCase() === 'input')) {
+            insertTextAtCursor(element, char);
+          }
+        }
+        dispatchKeyEvent(element, 'keyup', keyDef);
+        
+        if (delay > 0) {
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+      
+      element.dispatchEvent(new Event('change', { bubbles: true }));
+      
+      return {
+        success: true,
+        action: 'type',
+        xpath: this.xpath,
+        value: this.text,
+        sensitive: getSensitiveFieldKind(element)
+      };
+    } catch (error) {
+      return {
+        success: false,
+        action: this.action,
+        error: error.message,
+        xpath: this.xpath,
+        value: this.text
+      };
+    }
+  }
+
+  /**
+   * Clear the current contents of an element
+   * @param {Element} element - Input, textarea or contenteditable element
+   */
+  clearElement(element) {
+    if (element.isContentEditable) {
+      document.execCommand('selectAll', false, null);
+      document.execCommand('delete', false, null);
+      return;
+    }
+    
+    if (typeof element.select === 'function') {
+      element.select();
+    }
+    
+    try {
+      element.setRangeText('', 0, element.value.length, 'end');
+    } catch (error) {
+      setNativeValue(element, '');
+    }
+    
+    element.dispatchEvent(new InputEvent('input', {
+      bubbles: true,
+      inputType: 'deleteContentBackward'
+    }));
+  }
+}
+
+/**
+ * WaitFor Command - Waits for the page to reach a condition before continuing
+ * @extends Command
+ */
+class WaitForCommand extends Command {
+  /**
+   * Create a waitFor command
+   * @param {string} condition - 'appear', 'disappear', 'enabled', 'text', 'url' or 'networkIdle'
+   * @param {Object} options - Wait options
+   * @param {string} options.xpath - Element XPath for element conditions, or to scope a text wait
+   * @param {string} options.text - Text to wait for
+   * @param {string} options.url - URL pattern: substring, wildcard ("*") or /regex/
+   * @param {number} options.timeout - Timeout in milliseconds
+   */
+  constructor(condition, { xpath, text, url, timeout } = {}) {
+    super();
+    this.action = 'waitFor';
+    this.condition = condition;
+    this.xpath = xpath;
+    this.text = text;
+    this.url = url;
+    this.timeout = Math.min(Number(timeout) > 0 ? Number(timeout) : DEFAULT_WAIT_TIMEOUT, MAX_WAIT_TIMEOUT);
+  }
+
+  /**
+   * Execute the waitFor command
+   * @returns {Promise<Object>} - Wait result
+   */
+  async execute() {
+    const startTime = Date.now();
+
+    try {
+      const check = this.getCheck();
+      const satisfied = await waitForCondition(check, this.timeout);
+
+      if (!satisfied) {
+        throw new Error(`Timed out after ${this.timeout}ms waiting for ${this.describe()}`);
+      }
+
+      return {
+        success: true,
+        action: this.action,
+        condition: this.condition,
+        ...this.getTarget(),
+        waitedMs: Date.now() - startTime
+      };
+    } catch (error) {
+      return {
+        success: false,
+        action: this.action,
+        condition: this.condition,
+        ...this.getTarget(),
+        error: error.message
+      };
+    } finally {
+      if (this.observer) {
+        this.observer.disconnect();
+        this.observer = null;
+      }
+    }
+  }
+
+  /**
+   * Build the check function for the configured condition
+   * @returns {Function} - Returns true once the condition holds
+   */
+  getCheck() {
+    switch (this.condition) {
+      case 'appear':
+        this.requireOption('xpath');
+        return () => {
+          const element = findElementByXPath(this.xpath);
+          return Boolean(element && isElementVisible(element));
+        };
+      case 'disappear':
+        this.requireOption('xpath');
+        return () => {
+          const element = findElementByXPath(this.xpath);
+          return !element || !isElementVisible(element);
+        };
+      case 'enabled':
+        this.requireOption('xpath');
+        return () => {
+          const element = findElementByXPath(this.xpath);
+          return Boolean(element && isElementEnabled(element));
+        };
+      case 'text': {
+        this.requireOption('text');
+        const expected = normalizeText(this.text);
+        return () => {
+          const scope = this.xpath ? findElementByXPath(this.xpath) : document.body;
+          return Boolean(scope && normalizeText(scope.innerText || scope.textContent).includes(expected));
+        };
+      }
+      case 'url':
+        this.requireOption('url');
+        return () => matchesUrlPattern(window.location.href, this.url);
+      case 'networkIdle':
+        return this.createNetworkIdleCheck();
+      default:
+        throw new Error(`Unknown waitFor condition: ${this.condition}`);
+    }
+  }
+
+  /**
+   * Build a check that holds once no resource has finished loading for NETWORK_IDLE_TIME
+   * Resource timing entries are only reported on completion, so this is a
+   * quiet-period heuristic rather than a count of in-flight requests
+   * @returns {Function} - Network idle check
+   */
+  createNetworkIdleCheck() {
+    let lastActivity = Date.now();
+
+    this.observer = new PerformanceObserver(() => {
+      lastActivity = Date.now();
+    });
+    this.observer.observe({ type: 'resource', buffered: false });
+
+    return () => document.readyState === 'complete' && Date.now() - lastActivity >= NETWORK_IDLE_TIME;
+  }
+
+  /**
+   * Ensure an option required by the condition is present
+   * @param {string} name - Option name
+   */
+  requireOption(name) {
+    if (!this[name]) {
+      throw new Error(`waitFor "${this.condition}" requires "${name}"`);
+    }
+  }
+
+  /**
+   * Get the target fields reported in results
+   * @returns {Object} - Defined xpath, text and url fields
+   */
+  getTarget() {
+    const target = {};
+    if (this.xpath) target.xpath = this.xpath;
+    if (this.text) target.text = this.text;
+    if (this.url) target.url = this.url;
+    return target;
+  }
+
+  /**
+   * Describe the condition for error messages
+   * @returns {string} - Human-readable condition
+   */
+  describe() {
+    switch (this.condition) {
+      case 'appear':
+        return `element ${this.xpath} to appear`;
+      case 'disappear':
+        return `element ${this.xpath} to disappear`;
+      case 'enabled':
+        return `element ${this.xpath} to become enabled`;
+      case 'text':
+        return `text "${this.text}" to appear`;
+      case 'url':
+        return `URL to match "${this.url}" (current: ${window.location.href})`;
+      default:
+        return 'the network to become idle';
+    }
+  }
+}
+
 /**
  * Command Factory - Creates command instances
  */
@@ -248,29 +1312,199 @@ class CommandFactory {
   static createCommand(commandData) {
     switch (commandData.action) {
       case 'click':
-        return new ClickCommand(commandData.xpath);
+        return new ClickCommand(commandData.xpath, commandData.fingerprint);
       case 'fill':
-        return new FillCommand(commandData.xpath, commandData.value);
+        return new FillCommand(commandData.xpath, commandData.value, commandData.fingerprint);
       case 'navigate':
         return new NavigateCommand(commandData.url);
+      case 'scroll':
+        return new ScrollCommand(commandData.xpath, {
+          mode: commandData.mode,
+          direction: commandData.direction,
+          amount: commandData.amount,
+          maxScrolls: commandData.maxScrolls
+        });
+      case 'press':
+        return new PressCommand(commandData.xpath, commandData.key);
+      case 'type':
+        return new TypeCommand(commandData.xpath, commandData.value, {
+          delay: commandData.delay,
+          clear: commandData.clear
+        });
+      case 'waitFor':
+        return new WaitForCommand(commandData.condition, {
+          xpath: commandData.xpath,
+          text: commandData.text,
+          url: commandData.url,
+          timeout: commandData.timeout
+        });
       default:
         throw new Error(`Unknown command action: ${commandData.action}`);
     }
   }
 }
 
+/**
+ * Build the overlay label for a previewed command, e.g. '2. fill "alice@example.com"'
+ * @param {number} index - Command index
+ * @param {Object} commandData - Command object
+ * @returns {string} - Label
+ */
+function formatPreviewLabel(index, commandData) {
+  const detail = commandData.action === 'press' ? commandData.key : commandData.value;
+  if (detail === undefined || detail === null) {
+    return `${index + 1}. ${commandData.action}`;
+  }
+  
+  const text = String(detail);
+  const shown = text.length > PREVIEW_VALUE_LENGTH ? `${text.substring(0, PREVIEW_VALUE_LENGTH - 1)}…` : text;
+  return `${index + 1}. ${commandData.action} "${shown}"`;
+}
+
 /**
  * Command Executor - Executes commands
  */
 class CommandExecutor {
+  /**
+   * Request that the running command sequence stops before its next command
+   */
+  static cancel() {
+    console.log('Cancellation requested, stopping before the next command');
+    this.cancelRequested = true;
+  }
+
+  /**
+   * Resolve a command's target and execute it
+   * Placeholders in the command's value are replaced with their secrets only for
+   * execution; the result reports the placeholders again
+   * @param {Object} commandData - Command object
+   * @param {Object} secrets - Secret values by placeholder name
+   * @returns {Promise<Object>} - Command result
+   */
+  static async runCommand(commandData, secrets = {}) {
+    let resolved;
+    try {
+      resolved = await this.resolveTarget(commandData);
+    } catch (error) {
+      return {
+        success: false,
+        action: commandData.action,
+        description: commandData.description,
+        error: error.message
+      };
+    }
+    
+    const command = CommandFactory.createCommand(revealSecrets(resolved, secrets));
+    const result = hideSecrets(await command.execute(), secrets);
+    
+    if (resolved.resolvedBy) {
+      result.description = resolved.description;
+      result.resolvedBy = resolved.resolvedBy;
+    }
+    return result;
+  }
+
+  /**
+   * Fill in the XPath of a description-only command by semantic matching
+   * Waits briefly so elements revealed by earlier commands can render
+   * @param {Object} commandData - Command object
+   * @returns {Promise<Object>} - Command object with an xpath
+   */
+  static async resolveTarget(commandData) {
+    if (commandData.xpath || !commandData.description || !DESCRIBED_ACTIONS.includes(commandData.action)) {
+      return commandData;
+    }
+    
+    const match = await waitForCondition(
+      () => findElementByDescription(commandData.description, { action: commandData.action }),
+      ACTIONABLE_TIMEOUT
+    );
+    
+    if (!match) {
+      throw new Error(`No element on the page matches the description "${commandData.description}"`);
+    }
+    
+    console.log(`Matched "${commandData.description}" to ${match.xpath} by ${match.matchedOn} (score ${match.score})`);
+    return {
+      ...commandData,
+      xpath: match.xpath,
+      resolvedBy: 'semantic'
+    };
+  }
+
+  /**
+   * Preview a sequence of commands without executing them
+   * Resolves each target with findElementByXPath, or the semantic matcher for
+   * description-only commands, and draws a numbered box showing the action and value
+   * Commands after a navigation or tab change run on another page and are not resolved
+   * @param {Array} commands - Array of command objects
+   * @returns {Object} - { success, highlighted, previews } with one
+   *   { index, action, xpath, hasTarget, targetFound, resolvedBy, reason } per command
+   */
+  static previewCommands(commands) {
+    const entries = [];
+    let pageChanged = false;
+    
+    const previews = commands.map((commandData, index) => {
+      const preview = {
+        index,
+        action: commandData.action,
+        xpath: commandData.xpath || null,
+        hasTarget: Boolean(commandData.xpath || commandData.description)
+      };
+      
+      if (PAGE_CHANGING_ACTIONS.includes(commandData.action)) {
+        pageChanged = true;
+        return preview;
+      }
+      if (!preview.hasTarget) {
+        return preview;
+      }
+      if (pageChanged) {
+        return { ...preview, targetFound: false, reason: 'Runs on a later page' };
+      }
+      
+      let element = null;
+      try {
+        element = commandData.xpath ? findElementByXPath(commandData.xpath) : null;
+      } catch (error) {
+        console.warn(`Invalid XPath in preview: ${commandData.xpath}`, error);
+      }
+      
+      if (!element && commandData.description) {
+        const match = findElementByDescription(commandData.description, { action: commandData.action });
+        if (match) {
+          element = match.element;
+          preview.xpath = match.xpath;
+          preview.resolvedBy = 'semantic';
+        }
+      }
+      
+      if (!element) {
+        return { ...preview, targetFound: false, reason: 'Target not found on this page' };
+      }
+      
+      entries.push({ element, label: formatPreviewLabel(index, commandData) });
+      return { ...preview, targetFound: true };
+    });
+    
+    const highlighted = drawHighlights(entries);
+    console.log(`Previewed ${commands.length} commands, highlighted ${highlighted} targets`);
+    
+    return { success: true, highlighted, previews };
+  }
+
   /**
    * Execute a sequence of commands
    * @param {Array} commands - Array of command objects
+   * @param {Object} secrets - Secret values for {{secret_n}} placeholders, by name
    * @returns {Promise<Object>} - Result of command execution
    */
-  static async executeCommands(commands) {
+  static async executeCommands(commands, secrets = {}) {
     console.log(`Starting to execute ${commands.length} commands`);
     
+    this.cancelRequested = false;
+    
     const results = {
       success: true,
       commandResults: []
@@ -279,13 +1513,21 @@ class CommandExecutor {
     try {
       // Execute commands sequentially
       for (let i = 0; i < commands.length; i++) {
+        // Stop between commands if the run was cancelled
+        if (this.cancelRequested) {
+          console.log(`Execution cancelled before command ${i + 1}/${commands.length}`);
+          results.success = false;
+          results.cancelled = true;
+          results.error = 'Execution cancelled by user';
+          break;
+        }
+        
         const commandData = commands[i];
         console.log(`Executing command ${i + 1}/${commands.length}:`, commandData);
         
-        // Create and execute the command
-        const command = CommandFactory.createCommand(commandData);
+        // Resolve, create and execute the command
         const startTime = performance.now();
-        const result = await command.execute();
+        const result = await this.runCommand(commandData, secrets);
         const endTime = performance.now();
         
         console.log(`Command ${i + 1} executed in ${(endTime - startTime).toFixed(2)}ms:`, result);
@@ -297,6 +1539,10 @@ class CommandExecutor {
           console.error(`Command ${i + 1} failed, stopping execution:`, result.error);
           results.success = false;
           results.error = result.error;
+          // Waits abort with an error when the run is cancelled mid-command
+          if (this.cancelRequested) {
+            results.cancelled = true;
+          }
           break;
         }
         
@@ -322,6 +1568,10 @@ export {
   ClickCommand, 
   FillCommand, 
   NavigateCommand, 
+  ScrollCommand,
+  PressCommand,
+  TypeCommand,
+  WaitForCommand,
   CommandFactory,
   CommandExecutor
 };
\ No newline at end of file
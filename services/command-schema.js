@@ -0,0 +1,325 @@
+/**
+ * Command Schema Module
+ * JSON Schema for the model's command response, a validator for the subset
+ * of JSON Schema it uses (type, enum, required, properties, items, minItems,
+ * minLength, minimum, anyOf, allOf and if/then), and the same commands as
+ * tool definitions for providers with native tool calling
+ */
+
+/**
+ * Actions the extension can execute
+ */
+const COMMAND_ACTIONS = [
+  'navigate', 'click', 'fill', 'scroll', 'press', 'type', 'waitFor', 'openTab', 'switchTab', 'closeTab'
+];
+
+/**
+ * Commands must name their target by XPath or by description
+ */
+const TARGETED = {
+  anyOf: [{ required: ['xpath'] }, { required: ['description'] }]
+};
+
+/**
+ * Build an if/then rule that applies to one action
+ * @param {string} action - Action name
+ * @param {Object} rule - Schema the command must also match
+ * @returns {Object} - if/then schema
+ */
+function forAction(action, rule) {
+  return {
+    if: { properties: { action: { const: action } }, required: ['action'] },
+    then: rule
+  };
+}
+
+/**
+ * Scrolling into view needs a target element
+ * @returns {Object} - if/then schema
+ */
+function forScrollMode() {
+  return {
+    if: { properties: { mode: { const: 'intoView' } }, required: ['mode'] },
+    then: { required: ['xpath'] }
+  };
+}
+
+/**
+ * Build an if/then rule for waitFor conditions
+ * @param {string[]} conditions - Conditions the rule applies to
+ * @param {Object} rule - Schema the command must also match
+ * @returns {Object} - if/then schema
+ */
+function forCondition(conditions, rule) {
+  return {
+    if: { properties: { condition: { enum: conditions } }, required: ['condition'] },
+    then: rule
+  };
+}
+
+/**
+ * Schema of one command
+ */
+const COMMAND_SCHEMA = {
+  type: 'object',
+  required: ['action'],
+  properties: {
+    action: { type: 'string', enum: COMMAND_ACTIONS },
+    xpath: { type: 'string', minLength: 1 },
+    description: { type: 'string', minLength: 1 },
+    value: { type: ['string', 'boolean', 'number'] },
+    url: { type: 'string', minLength: 1 },
+    key: { type: 'string', minLength: 1 },
+    mode: { type: 'string', enum: ['by', 'intoView', 'untilEnd'] },
+    direction: { type: 'string', enum: ['up', 'down', 'left', 'right'] },
+    amount: { type: ['string', 'number'] },
+    maxScrolls: { type: 'number', minimum: 1 },
+    condition: { type: 'string', enum: ['appear', 'disappear', 'enabled', 'text', 'url', 'networkIdle'] },
+    text: { type: 'string', minLength: 1 },
+    timeout: { type: 'number', minimum: 0 },
+    delay: { type: 'number', minimum: 0 },
+    clear: { type: 'boolean' },
+    tabId: { type: 'number' },
+    active: { type: 'boolean' }
+  },
+  allOf: [
+    forAction('navigate', { required: ['url'] }),
+    forAction('openTab', { required: ['url'] }),
+    forAction('switchTab', { required: ['tabId'] }),
+    forAction('click', TARGETED),
+    forAction('fill', { ...TARGETED, required: ['value'] }),
+    forAction('type', { required: ['value'], properties: { value: { type: 'string' } } }),
+    forAction('press', { required: ['key'] }),
+    forAction('scroll', forScrollMode()),
+    forAction('waitFor', {
+      required: ['condition'],
+      allOf: [
+        forCondition(['appear', 'disappear', 'enabled'], { required: ['xpath'] }),
+        forCondition(['text'], { required: ['text'] }),
+        forCondition(['url'], { required: ['url'] })
+      ]
+    })
+  ]
+};
+
+/**
+ * Schema of the whole command response
+ */
+const COMMAND_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['commands', 'isComplete'],
+  properties: {
+    commands: { type: 'array', items: COMMAND_SCHEMA },
+    isComplete: { type: 'boolean' },
+    completionMessage: { type: 'string' },
+    progressSteps: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'label'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          label: { type: 'string', minLength: 1 },
+          description: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Name of the tool that reports completion and progress steps in tool-calling mode
+ */
+const STATUS_TOOL_NAME = 'report_status';
+
+/**
+ * Tool descriptions and fields per action; actions missing here get every command field
+ */
+const ACTION_TOOLS = {
+  navigate: { description: 'Load a URL in the current tab', fields: ['url'], required: ['url'] },
+  click: { description: 'Click an element, identified by XPath or by description', fields: ['xpath', 'description'] },
+  fill: {
+    description: 'Fill an input, textarea, dropdown or rich text editor; use true or false to check or uncheck',
+    fields: ['xpath', 'description', 'value'],
+    required: ['value']
+  },
+  scroll: {
+    description: 'Scroll the page or a container, scroll an element into view, or scroll until an infinite feed ends',
+    fields: ['mode', 'direction', 'amount', 'xpath', 'maxScrolls']
+  },
+  press: { description: 'Press a key or shortcut such as Enter or Control+a, on an element or the focused one', fields: ['key', 'xpath'], required: ['key'] },
+  type: {
+    description: 'Type text key by key into an element or the focused one',
+    fields: ['xpath', 'value', 'clear', 'delay'],
+    required: ['value']
+  },
+  waitFor: {
+    description: 'Wait for an element to appear, disappear or become enabled, for text or a URL, or for the network to go idle',
+    fields: ['condition', 'xpath', 'text', 'url', 'timeout'],
+    required: ['condition']
+  },
+  openTab: { description: 'Open a URL in a new tab and continue there', fields: ['url', 'active'], required: ['url'] },
+  switchTab: { description: 'Continue in another open tab', fields: ['tabId'], required: ['tabId'] },
+  closeTab: { description: 'Close a tab, or the current one when tabId is omitted', fields: ['tabId'] }
+};
+
+/**
+ * Describe each command action, and the status report, as a provider-neutral tool
+ * @returns {Array<Object>} - Tools as { name, description, parameters } with JSON Schema parameters
+ */
+function getCommandTools() {
+  const commandFields = Object.keys(COMMAND_SCHEMA.properties).filter(field => field !== 'action');
+
+  const commandTools = COMMAND_ACTIONS.map(action => {
+    const tool = ACTION_TOOLS[action] || { description: `Run a ${action} command`, fields: commandFields };
+    return {
+      name: action,
+      description: tool.description,
+      parameters: {
+        type: 'object',
+        properties: Object.fromEntries(tool.fields.map(field => [field, COMMAND_SCHEMA.properties[field]])),
+        required: tool.required || []
+      }
+    };
+  });
+
+  const { isComplete, completionMessage, progressSteps } = COMMAND_RESPONSE_SCHEMA.properties;
+  return [
+    ...commandTools,
+    {
+      name: STATUS_TOOL_NAME,
+      description: 'Report whether the request is complete after these commands, with a status message and the progress steps. Call it exactly once, after the commands',
+      parameters: {
+        type: 'object',
+        properties: { isComplete, completionMessage, progressSteps },
+        required: ['isComplete', 'progressSteps']
+      }
+    }
+  ];
+}
+
+/**
+ * Turn tool calls into the command response shape
+ * @param {Array<Object>} toolCalls - Calls as { name, input }, in order
+ * @returns {Object} - { commands, isComplete, completionMessage, progressSteps }
+ */
+function toolCallsToResponse(toolCalls) {
+  const status = toolCalls.find(call => call.name === STATUS_TOOL_NAME)?.input || {};
+
+  return {
+    commands: toolCalls
+      .filter(call => call.name !== STATUS_TOOL_NAME)
+      .map(call => ({ ...call.input, action: call.name })),
+    isComplete: status.isComplete,
+    completionMessage: status.completionMessage,
+    progressSteps: status.progressSteps
+  };
+}
+
+/**
+ * Get the JSON Schema type of a value
+ * @param {*} value - Value to classify
+ * @returns {string} - JSON Schema type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema (supported subset)
+ * @param {string} path - Location of the value, for messages
+ * @returns {string[]} - Violations, empty when the value matches
+ */
+function validateSchema(value, schema, path = 'response') {
+  const errors = [];
+  const type = typeOf(value);
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!allowed.includes(type)) {
+      return [`${path} must be ${allowed.join(' or ')}, got ${type}`];
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  if (schema.minLength !== undefined && type === 'string' && value.trim().length < schema.minLength) {
+    errors.push(`${path} must not be empty`);
+  }
+  if (schema.minimum !== undefined && type === 'number' && value < schema.minimum) {
+    errors.push(`${path} must be at least ${schema.minimum}`);
+  }
+
+  if (type === 'object') {
+    (schema.required || [])
+      .filter(field => value[field] === undefined || value[field] === null)
+      .forEach(field => errors.push(`${path} is missing required field "${field}"`));
+
+    Object.entries(schema.properties || {}).forEach(([field, fieldSchema]) => {
+      if (value[field] !== undefined && value[field] !== null) {
+        errors.push(...validateSchema(value[field], fieldSchema, `${path}.${field}`));
+      }
+    });
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(option => validateSchema(value, option, path).length === 0)) {
+    const fields = schema.anyOf.flatMap(option => option.required || []);
+    errors.push(fields.length
+      ? `${path} needs one of the fields ${fields.map(field => `"${field}"`).join(' or ')}`
+      : `${path} does not match any allowed form`);
+  }
+
+  (schema.allOf || []).forEach(option => errors.push(...validateSchema(value, option, path)));
+
+  if (schema.if && validateSchema(value, schema.if, path).length === 0 && schema.then) {
+    errors.push(...validateSchema(value, schema.then, path));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a parsed command response
+ * Command paths name the action, e.g. 'commands[1] (fill) is missing required field "value"'
+ * @param {Object} response - Parsed model response
+ * @returns {Object} - { valid, errors }
+ */
+function validateCommandResponse(response) {
+  const errors = validateSchema(response, COMMAND_RESPONSE_SCHEMA).map(error =>
+    error.replace(/^response\.commands\[(\d+)\]/, (match, index) => {
+      const action = response.commands[index]?.action;
+      return `commands[${index}]${typeof action === 'string' ? ` (${action})` : ''}`;
+    }).replace(/^response\./, '')
+  );
+
+  return { valid: errors.length === 0, errors };
+}
+
+export {
+  COMMAND_ACTIONS,
+  COMMAND_SCHEMA,
+  COMMAND_RESPONSE_SCHEMA,
+  STATUS_TOOL_NAME,
+  getCommandTools,
+  toolCallsToResponse,
+  validateSchema,
+  validateCommandResponse
+};
@@ -45,6 +45,24 @@ const modelOptions = {
       id: 'gpt-3.5-turbo',
       name: 'GPT-3.5 Turbo'
     }
+  ],
+  claude: [
+    {
+      id: 'claude-3-7-sonnet-20250219',
+      name: 'Claude 3.7 Sonnet'
+    },
+    {
+      id: 'claude-3-5-sonnet-20241022',
+      name: 'Claude 3.5 Sonnet'
+    },
+    {
+      id: 'claude-3-5-haiku-20241022',
+      name: 'Claude 3.5 Haiku'
+    },
+    {
+      id: 'claude-3-opus-20240229',
+      name: 'Claude 3 Opus'
+    }
   ]
 };
 
@@ -0,0 +1,90 @@
+/**
+ * Custom Endpoint Service Implementation
+ * Talks to any self-hosted OpenAI-compatible server (vLLM, llama.cpp, LM Studio, Ollama)
+ */
+import BaseService from './base-service.js';
+import { Logger } from '../src/shared/utils';
+
+/**
+ * Custom OpenAI-compatible Service Implementation
+ * Handles communication with a user-supplied chat completions endpoint
+ * @extends BaseService
+ */
+class CustomService extends BaseService {
+  /**
+   * Initialize the custom endpoint service
+   * @param {Object} config - Configuration object for the service
+   * @param {string} config.baseUrl - Base URL of the server (e.g. http://localhost:8000/v1)
+   * @param {string} config.apiKey - Optional API key sent as a bearer token
+   * @param {string} config.model - Model name as known to the server
+   * @param {number} config.temperature - Sampling temperature (0.0 to 1.0)
+   * @param {number} config.maxTokens - Maximum tokens to generate
+   * @param {Object|string} config.extraHeaders - Additional headers, as an object or "Name: value" lines
+   * @param {boolean} config.useResponseFormat - Whether to send response_format for JSON mode
+   * @param {boolean} config.useToolCalling - Whether to request commands as function calls
+   */
+  constructor(config = {}) {
+    super({
+      apiKey: config.apiKey || '',
+      model: config.model || '',
+      temperature: config.temperature || 0.3,
+      maxTokens: config.maxTokens || 1024,
+      apiEndpoint: CustomService.resolveEndpoint(config.baseUrl),
+      provider: 'custom',
+      requiresApiKey: false,
+      adapterOptions: {
+        useResponseFormat: config.useResponseFormat === true,
+        useToolCalling: config.useToolCalling === true,
+        extraHeaders: CustomService.parseHeaders(config.extraHeaders)
+      }
+    });
+
+    Logger.info(`Initialized custom service at ${this.apiEndpoint || '(no endpoint)'} with model: ${this.model}`);
+  }
+
+  /**
+   * Build the chat completions URL from a user-supplied base URL
+   * Accepts either the API root or the full chat completions URL
+   * @param {string} baseUrl - Base URL from the configuration
+   * @returns {string} - Chat completions endpoint, or an empty string if unset
+   */
+  static resolveEndpoint(baseUrl) {
+    const trimmed = (baseUrl || '').trim().replace(/\/+$/, '');
+    if (!trimmed) return '';
+
+    if (trimmed.endsWith('/chat/completions')) {
+      return trimmed;
+    }
+
+    return `${trimmed}/chat/completions`;
+  }
+
+  /**
+   * Normalize extra headers into a plain object
+   * @param {Object|string} extraHeaders - Header object or newline-separated "Name: value" pairs
+   * @returns {Object} - Header map
+   */
+  static parseHeaders(extraHeaders) {
+    if (!extraHeaders) return {};
+
+    if (typeof extraHeaders === 'object') {
+      return { ...extraHeaders };
+    }
+
+    return extraHeaders
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line && line.includes(':'))
+      .reduce((headers, line) => {
+        const separator = line.indexOf(':');
+        const name = line.substring(0, separator).trim();
+        const value = line.substring(separator + 1).trim();
+        if (name) {
+          headers[name] = value;
+        }
+        return headers;
+      }, {});
+  }
+}
+
+export default CustomService;
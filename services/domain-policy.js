@@ -0,0 +1,121 @@
+/**
+ * Domain Policy Module
+ * Decides whether automation may run on a URL, from user-managed allow and block patterns
+ *
+ * Pattern forms:
+ * - /regex/          tested against the full URL, case-insensitive
+ * - https://host/*   wildcard pattern tested against the full URL when it has a scheme or path
+ * - *.example.com    wildcard pattern for the hostname; also matches example.com itself
+ * - example.com      the hostname and all of its subdomains
+ */
+import { AppError, ErrorType } from './error-handler.js';
+import { escapeRegExp } from './user-patterns.js';
+
+/**
+ * URL schemes the policy applies to; browser pages are refused separately
+ */
+const POLICED_PROTOCOLS = ['http:', 'https:', 'file:'];
+
+/**
+ * Turn a wildcard pattern into a regular expression source
+ * @param {string} pattern - Pattern where * matches any characters
+ * @returns {string} - Regular expression source
+ */
+function wildcardToSource(pattern) {
+  return pattern.split('*').map(escapeRegExp).join('.*');
+}
+
+/**
+ * Compile one policy pattern into a matcher
+ * @param {string} pattern - Policy pattern
+ * @returns {Function|null} - (url: URL) => boolean, or null for blank or invalid patterns
+ */
+function compilePattern(pattern) {
+  const source = (pattern || '').trim();
+  if (!source) return null;
+
+  if (source.length > 2 && source.startsWith('/') && source.endsWith('/')) {
+    try {
+      const expression = new RegExp(source.slice(1, -1), 'i');
+      return (url) => expression.test(url.href);
+    } catch (error) {
+      console.warn(`Ignoring invalid domain pattern ${source}:`, error);
+      return null;
+    }
+  }
+
+  if (source.includes('://') || source.includes('/')) {
+    // A pattern that ends in the host must not match a longer host, as in example.com.attacker.io
+    const endsInHost = !/[/?#]/.test(source.split('://').pop());
+    const boundary = endsInHost ? '(?=[:/?#]|$)' : '';
+    const expression = new RegExp(`^${wildcardToSource(source)}${boundary}`, 'i');
+    return (url) => expression.test(url.href);
+  }
+
+  const host = source.toLowerCase().replace(/^\*\./, '');
+  const expression = new RegExp(`^(.*\\.)?${wildcardToSource(host)}$`, 'i');
+  return (url) => expression.test(url.hostname);
+}
+
+/**
+ * Find the first pattern that matches a URL
+ * @param {URL} url - Parsed URL
+ * @param {string[]} patterns - Policy patterns
+ * @returns {string|null} - Matching pattern
+ */
+function findMatch(url, patterns = []) {
+  return patterns.find(pattern => compilePattern(pattern)?.(url)) || null;
+}
+
+/**
+ * Check a URL against the domain policy
+ * Blocked patterns win over allowed ones; an empty allow list allows every other URL
+ * @param {string} url - URL to check
+ * @param {Object} policy - { allowedDomains, blockedDomains }
+ * @returns {Object} - { allowed, reason }
+ */
+function checkUrl(url, { allowedDomains = [], blockedDomains = [] } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return { allowed: false, reason: `Invalid URL: ${url}` };
+  }
+
+  if (!POLICED_PROTOCOLS.includes(parsed.protocol)) {
+    return { allowed: true, reason: null };
+  }
+
+  const place = parsed.hostname || parsed.href;
+  const blockedBy = findMatch(parsed, blockedDomains);
+  if (blockedBy) {
+    return { allowed: false, reason: `Automation is blocked on ${place} by the pattern "${blockedBy.trim()}"` };
+  }
+
+  const allowList = allowedDomains.map(pattern => (pattern || '').trim()).filter(Boolean);
+  if (allowList.length > 0 && !findMatch(parsed, allowList)) {
+    return { allowed: false, reason: `${place} is not in the allowed domains (${allowList.join(', ')})` };
+  }
+
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Throw if the domain policy does not allow a URL
+ * @param {string} url - URL to check
+ * @param {Object} policy - { allowedDomains, blockedDomains }
+ * @throws {AppError} PERMISSION error naming the URL and the rule it broke
+ */
+function assertUrlAllowed(url, policy) {
+  const { allowed, reason } = checkUrl(url, policy);
+  if (!allowed) {
+    throw new AppError(reason, {
+      type: ErrorType.PERMISSION,
+      source: 'domain-policy',
+      retryable: false,
+      data: { url }
+    });
+  }
+}
+
+export { checkUrl, assertUrlAllowed };
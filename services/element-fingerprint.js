@@ -0,0 +1,293 @@
+/**
+ * Element Fingerprint Module
+ * Captures several independent identifiers for an element so it can be found
+ * again after the DOM shifts and its absolute XPath stops matching
+ */
+import { findElementByXPath } from 'browsermagic-dom';
+import { findElementByDescription, getAccessibleName, getRole, isVisible, tokenize } from './element-matcher.js';
+
+/**
+ * Minimum score for a scored candidate to count as the same element
+ */
+const RELOCATE_THRESHOLD = 0.55;
+
+/**
+ * Below this score, an element found by XPath is assumed to be a different element
+ * that shifted into the old position
+ */
+const XPATH_MISMATCH_THRESHOLD = 0.3;
+
+/**
+ * Weights of the fingerprint signals when scoring candidates
+ */
+const SIGNAL_WEIGHTS = {
+  identity: 0.2,
+  roleName: 0.3,
+  text: 0.2,
+  neighborText: 0.15,
+  bbox: 0.15
+};
+
+/**
+ * Escape a value for use inside a CSS attribute selector
+ * @param {string} value - Raw value
+ * @returns {string} - Escaped value
+ */
+function cssEscape(value) {
+  return window.CSS?.escape ? CSS.escape(value) : value.replace(/["\\]/g, '\\$&');
+}
+
+/**
+ * Build a CSS path from the nearest ancestor with an id, using nth-of-type steps
+ * @param {Element} element - Element to describe
+ * @returns {string} - CSS selector
+ */
+function getCssPath(element) {
+  const steps = [];
+  let current = element;
+
+  while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.documentElement) {
+    if (current.id && current !== element) {
+      steps.unshift(`#${cssEscape(current.id)}`);
+      break;
+    }
+
+    const tag = current.tagName.toLowerCase();
+    const parent = current.parentElement;
+    if (!parent) {
+      steps.unshift(tag);
+      break;
+    }
+
+    const sameTag = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+    steps.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(current) + 1})` : tag);
+    current = parent;
+  }
+
+  return steps.join(' > ');
+}
+
+/**
+ * Get the text around an element, such as a nearby label or heading
+ * @param {Element} element - Element to inspect
+ * @returns {string} - Neighbor text
+ */
+function getNeighborText(element) {
+  const parts = [];
+  const previous = element.previousElementSibling;
+  const next = element.nextElementSibling;
+
+  if (previous) parts.push(previous.innerText || previous.textContent);
+  if (next) parts.push(next.innerText || next.textContent);
+
+  // Fall back to the parent's text when the element has no element siblings
+  if (parts.length === 0 && element.parentElement) {
+    const ownText = element.innerText || '';
+    parts.push((element.parentElement.innerText || '').replace(ownText, ''));
+  }
+
+  return parts.join(' ').replace(/\s+/g, ' ').trim().substring(0, 100);
+}
+
+/**
+ * Capture the fingerprint of an element
+ * @param {Element} element - Element to fingerprint
+ * @returns {Object} - Fingerprint: id, testId, name, tag, role, accessibleName, text, cssPath, bbox, neighborText
+ */
+function createFingerprint(element) {
+  const rect = element.getBoundingClientRect();
+
+  return {
+    tag: element.tagName.toLowerCase(),
+    id: element.id || null,
+    testId: element.getAttribute('data-testid') || null,
+    name: element.getAttribute('name') || null,
+    role: getRole(element),
+    accessibleName: getAccessibleName(element),
+    text: (element.innerText || element.value || '').replace(/\s+/g, ' ').trim().substring(0, 100),
+    cssPath: getCssPath(element),
+    bbox: {
+      x: Math.round(rect.left + window.scrollX),
+      y: Math.round(rect.top + window.scrollY),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height)
+    },
+    neighborText: getNeighborText(element)
+  };
+}
+
+/**
+ * Add fingerprints to snapshot elements in place
+ * Elements whose XPath no longer resolves are left without one
+ * @param {Array<Object>} elements - Snapshot elements with an xpath
+ * @returns {Array<Object>} - The same elements
+ */
+function attachFingerprints(elements = []) {
+  elements.forEach(entry => {
+    try {
+      const element = entry.xpath && findElementByXPath(entry.xpath);
+      if (element) {
+        entry.fingerprint = createFingerprint(element);
+      }
+    } catch (error) {
+      console.warn(`Could not fingerprint ${entry.xpath}:`, error);
+    }
+  });
+  return elements;
+}
+
+/**
+ * Token overlap between two texts, from 0 to 1
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} - Similarity
+ */
+function textSimilarity(a, b) {
+  const tokensA = new Set(tokenize(a));
+  const tokensB = new Set(tokenize(b));
+  if (tokensA.size === 0 && tokensB.size === 0) return 1;
+  if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+  const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+  return (2 * shared) / (tokensA.size + tokensB.size);
+}
+
+/**
+ * Score how well an element matches a fingerprint, from 0 to 1
+ * @param {Element} element - Candidate element
+ * @param {Object} fingerprint - Fingerprint to match
+ * @returns {number} - Score
+ */
+function scoreElement(element, fingerprint) {
+  if (element.tagName.toLowerCase() !== fingerprint.tag) {
+    return 0;
+  }
+
+  const current = createFingerprint(element);
+  let score = 0;
+
+  // Stable attributes that were present must still agree
+  const identities = ['id', 'testId', 'name'].filter(key => fingerprint[key]);
+  if (identities.length > 0) {
+    const agreeing = identities.filter(key => current[key] === fingerprint[key]).length;
+    score += SIGNAL_WEIGHTS.identity * (agreeing / identities.length);
+  } else {
+    score += SIGNAL_WEIGHTS.identity / 2;
+  }
+
+  if (current.role === fingerprint.role) {
+    score += SIGNAL_WEIGHTS.roleName * (0.3 + 0.7 * textSimilarity(current.accessibleName, fingerprint.accessibleName));
+  }
+
+  score += SIGNAL_WEIGHTS.text * textSimilarity(current.text, fingerprint.text);
+  score += SIGNAL_WEIGHTS.neighborText * textSimilarity(current.neighborText, fingerprint.neighborText);
+
+  // Closer to the old position is better; anything a screen away scores nothing
+  const distance = Math.hypot(current.bbox.x - fingerprint.bbox.x, current.bbox.y - fingerprint.bbox.y);
+  score += SIGNAL_WEIGHTS.bbox * Math.max(0, 1 - distance / Math.max(window.innerHeight, 1));
+
+  return score;
+}
+
+/**
+ * Find an element by a selector, only if exactly one element matches
+ * @param {string} selector - CSS selector
+ * @returns {Element|null} - The unique element
+ */
+function queryUnique(selector) {
+  try {
+    const matches = document.querySelectorAll(selector);
+    return matches.length === 1 ? matches[0] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Relocate an element from its fingerprint
+ * Tries unique identifiers first (id, data-testid, name, CSS path), then scores
+ * every visible element with the same tag against the whole fingerprint
+ * @param {Object} fingerprint - Fingerprint captured at snapshot time
+ * @returns {Object|null} - { element, strategy, score }, or null if nothing matches well enough
+ */
+function relocateElement(fingerprint) {
+  if (!fingerprint || !fingerprint.tag) {
+    return null;
+  }
+
+  const { tag } = fingerprint;
+  const lookups = [
+    ['id', fingerprint.id && `${tag}#${cssEscape(fingerprint.id)}`],
+    ['testId', fingerprint.testId && `${tag}[data-testid="${cssEscape(fingerprint.testId)}"]`],
+    ['name', fingerprint.name && `${tag}[name="${cssEscape(fingerprint.name)}"]`],
+    ['cssPath', fingerprint.cssPath]
+  ];
+
+  for (const [strategy, selector] of lookups) {
+    if (!selector) continue;
+
+    const element = queryUnique(selector);
+    const score = element ? scoreElement(element, fingerprint) : 0;
+    // A CSS path alone can land on a shifted sibling, so it must also resemble the original
+    if (element && (strategy !== 'cssPath' || score >= RELOCATE_THRESHOLD)) {
+      return { element, strategy, score };
+    }
+  }
+
+  let best = null;
+  document.querySelectorAll(tag).forEach(element => {
+    // Cheap filters first; scoring reads layout and text
+    if (getRole(element) !== fingerprint.role || !isVisible(element)) return;
+
+    const score = scoreElement(element, fingerprint);
+    if (score >= RELOCATE_THRESHOLD && (!best || score > best.score)) {
+      best = { element, strategy: 'fingerprint', score };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Locate an element by XPath, relocating it from its fingerprint when the XPath
+ * misses or now points at an element that no longer resembles the original
+ * @param {string} xpath - XPath from the snapshot
+ * @param {Object} fingerprint - Optional fingerprint from the snapshot
+ * @returns {Object|null} - { element, strategy }, or null if not found
+ */
+function locateElement(xpath, fingerprint) {
+  const element = findElementByXPath(xpath);
+
+  if (element && (!fingerprint || scoreElement(element, fingerprint) >= XPATH_MISMATCH_THRESHOLD)) {
+    return { element, strategy: 'xpath' };
+  }
+
+  const relocated = fingerprint ? relocateElement(fingerprint) : null;
+  if (relocated) {
+    return { element: relocated.element, strategy: relocated.strategy };
+  }
+
+  // Prefer a doubtful XPath hit over failing outright
+  return element ? { element, strategy: 'xpath' } : null;
+}
+
+/**
+ * Find the element a command targets, by XPath and fingerprint or by description
+ * @param {Object} target - Command with an xpath, fingerprint or description, and its action
+ * @returns {Element|null} - Target element
+ */
+function findTarget(target) {
+  try {
+    if (target.xpath) {
+      return locateElement(target.xpath, target.fingerprint)?.element || null;
+    }
+    if (target.description) {
+      return findElementByDescription(target.description, { action: target.action })?.element || null;
+    }
+  } catch (error) {
+    console.warn('Could not locate command target:', error);
+  }
+  return null;
+}
+
+export { createFingerprint, attachFingerprints, relocateElement, locateElement, findTarget };
@@ -0,0 +1,97 @@
+/**
+ * Element Highlighter Module
+ * Draws labelled outlines over the elements planned commands will act on,
+ * so the user can see the targets before they run
+ */
+import { findTarget } from './element-fingerprint.js';
+
+/**
+ * ID of the overlay container added to the page
+ */
+const OVERLAY_ID = 'browsermagic-highlight-overlay';
+
+/**
+ * Outline color of highlighted elements
+ */
+const HIGHLIGHT_COLOR = '#7c3aed';
+
+/**
+ * Remove all highlights from the page
+ */
+function clearHighlights() {
+  document.getElementById(OVERLAY_ID)?.remove();
+}
+
+/**
+ * Outline elements, each with an optional label
+ * Replaces any highlights already shown
+ * @param {Array<Object>} entries - { element, label }
+ * @returns {number} - Number of elements highlighted
+ */
+function drawHighlights(entries = []) {
+  clearHighlights();
+
+  const overlay = document.createElement('div');
+  overlay.id = OVERLAY_ID;
+  overlay.style.cssText = 'position:absolute;top:0;left:0;width:0;height:0;z-index:2147483647;pointer-events:none;';
+
+  const highlighted = entries.filter(entry => entry.element);
+  highlighted.forEach(({ element, label }) => {
+    const rect = element.getBoundingClientRect();
+    const box = document.createElement('div');
+    box.style.cssText = [
+      'position:absolute',
+      `top:${rect.top + window.scrollY - 3}px`,
+      `left:${rect.left + window.scrollX - 3}px`,
+      `width:${rect.width + 6}px`,
+      `height:${rect.height + 6}px`,
+      `outline:3px solid ${HIGHLIGHT_COLOR}`,
+      'border-radius:4px',
+      'background:rgba(124,58,237,0.12)',
+      'box-sizing:border-box'
+    ].join(';');
+
+    if (label !== undefined) {
+      const tag = document.createElement('div');
+      tag.textContent = String(label);
+      tag.style.cssText = [
+        'position:absolute',
+        'top:-12px',
+        'left:-12px',
+        'min-width:20px',
+        'max-width:320px',
+        'height:20px',
+        'padding:0 6px',
+        'border-radius:10px',
+        `background:${HIGHLIGHT_COLOR}`,
+        'color:#fff',
+        'font:bold 12px/20px sans-serif',
+        'text-align:center',
+        'white-space:nowrap',
+        'overflow:hidden',
+        'text-overflow:ellipsis'
+      ].join(';');
+      box.appendChild(tag);
+    }
+
+    overlay.appendChild(box);
+  });
+
+  document.documentElement.appendChild(overlay);
+
+  // Bring the first target into view so the user sees what is planned
+  highlighted[0]?.element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+
+  return highlighted.length;
+}
+
+/**
+ * Outline the targets of planned commands, each with a label
+ * @param {Array<Object>} targets - { xpath, fingerprint, description, action, label }
+ * @returns {number} - Number of elements highlighted
+ */
+function highlightElements(targets = []) {
+  return drawHighlights(targets.map(target => ({ element: findTarget(target), label: target.label })));
+}
+
+export { highlightElements, drawHighlights, clearHighlights };
@@ -0,0 +1,320 @@
+/**
+ * Element Matcher Module
+ * Resolves natural-language element descriptions ("Login button") to page elements
+ */
+import { getXPath } from 'browsermagic-dom';
+import { isSensitiveField } from './sensitive-fields.js';
+
+/**
+ * Minimum score for a candidate to count as a match
+ */
+const MATCH_THRESHOLD = 0.5;
+
+/**
+ * Words that carry no identifying meaning in a description
+ */
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'in', 'on', 'of', 'for', 'to', 'at', 'with', 'and', 'or',
+  'this', 'that', 'page', 'element', 'form', 'section', 'area', 'labeled', 'labelled',
+  'called', 'named', 'saying', 'says', 'text'
+]);
+
+/**
+ * Words that describe the kind of element, mapped to the roles they imply
+ */
+const ROLE_WORDS = {
+  button: ['button'],
+  btn: ['button'],
+  link: ['link'],
+  field: ['textbox', 'searchbox', 'combobox'],
+  input: ['textbox', 'searchbox', 'combobox'],
+  box: ['textbox', 'searchbox', 'combobox', 'checkbox'],
+  textbox: ['textbox'],
+  textarea: ['textbox'],
+  search: ['searchbox'],
+  checkbox: ['checkbox'],
+  radio: ['radio'],
+  dropdown: ['combobox', 'listbox'],
+  select: ['combobox', 'listbox'],
+  menu: ['menu', 'menuitem'],
+  tab: ['tab'],
+  icon: ['button', 'link'],
+  option: ['option', 'menuitem']
+};
+
+/**
+ * Elements a description can refer to
+ */
+const CANDIDATE_SELECTOR = [
+  'a[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'summary',
+  '[role]', '[contenteditable="true"]', '[onclick]', '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+/**
+ * Actions that need an editable element
+ */
+const EDITABLE_ACTIONS = new Set(['fill', 'type']);
+
+/**
+ * Split text into lowercase word tokens, breaking camelCase and snake_case identifiers
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} - Tokens
+ */
+function tokenize(text) {
+  return (text || '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Check whether an element is rendered and not hidden
+ * @param {Element} element - Element to check
+ * @returns {boolean} - True if visible
+ */
+function isVisible(element) {
+  if (element.getClientRects().length === 0) return false;
+  return window.getComputedStyle(element).visibility !== 'hidden';
+}
+
+/**
+ * Get the implicit or explicit ARIA role of an element
+ * @param {Element} element - Element to inspect
+ * @returns {string} - Role name
+ */
+function getRole(element) {
+  const explicit = element.getAttribute('role');
+  if (explicit) return explicit.toLowerCase();
+
+  const tag = element.tagName.toLowerCase();
+  const type = (element.getAttribute('type') || 'text').toLowerCase();
+
+  if (tag === 'a') return 'link';
+  if (tag === 'button' || tag === 'summary') return 'button';
+  if (tag === 'select') return element.multiple ? 'listbox' : 'combobox';
+  if (tag === 'textarea' || element.isContentEditable) return 'textbox';
+  if (tag === 'input') {
+    if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+    if (type === 'checkbox' || type === 'radio') return type;
+    if (type === 'search') return 'searchbox';
+    return 'textbox';
+  }
+  return '';
+}
+
+/**
+ * Check whether an element accepts typed or selected values
+ * @param {Element} element - Element to check
+ * @returns {boolean} - True if editable
+ */
+function isEditable(element) {
+  return ['textbox', 'searchbox', 'combobox', 'listbox', 'checkbox', 'radio', 'spinbutton'].includes(getRole(element)) ||
+    element.isContentEditable;
+}
+
+/**
+ * Collect the text sources that name an element, in order of reliability
+ * @param {Element} element - Element to describe
+ * @returns {Array<Object>} - { source, text, weight } entries
+ */
+function getNameSources(element) {
+  const sources = [];
+  const add = (source, text, weight) => {
+    if (text && text.trim()) {
+      sources.push({ source, text: text.trim().substring(0, 200), weight });
+    }
+  };
+
+  add('aria-label', element.getAttribute('aria-label'), 1);
+
+  const labelledBy = element.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    const text = labelledBy.split(/\s+/)
+      .map(id => document.getElementById(id)?.textContent || '')
+      .join(' ');
+    add('aria-labelledby', text, 1);
+  }
+
+  Array.from(element.labels || []).forEach(label => add('label', label.textContent, 1));
+  add('placeholder', element.getAttribute('placeholder'), 0.9);
+  // Password and card fields are named by their labels, never by what was typed into them
+  add('text', element.innerText || (isSensitiveField(element) ? '' : element.value), 0.9);
+  add('title', element.getAttribute('title'), 0.8);
+  add('alt', element.querySelector?.('img[alt]')?.getAttribute('alt') || element.getAttribute('alt'), 0.8);
+  add('aria-describedby', element.getAttribute('aria-describedby') &&
+    document.getElementById(element.getAttribute('aria-describedby'))?.textContent, 0.6);
+  add('name', element.getAttribute('name'), 0.7);
+  add('id', element.id, 0.6);
+  add('data-testid', element.getAttribute('data-testid'), 0.6);
+
+  return sources;
+}
+
+/**
+ * Get the accessible name of an element, falling back to its visible text
+ * @param {Element} element - Element to name
+ * @returns {string} - Accessible name
+ */
+function getAccessibleName(element) {
+  const sources = getNameSources(element);
+  const preferred = ['aria-label', 'aria-labelledby', 'label', 'placeholder', 'alt', 'title', 'text'];
+  const match = preferred.map(source => sources.find(entry => entry.source === source)).find(Boolean);
+  return match ? match.text.replace(/\s+/g, ' ').substring(0, 100) : '';
+}
+
+/**
+ * Get text naming the container an element sits in, such as a form or dialog
+ * Lets descriptions like "Email field in the login form" use their context words
+ * @param {Element} element - Element to inspect
+ * @returns {string} - Container text
+ */
+function getContainerText(element) {
+  const container = element.closest('form, fieldset, dialog, [role="dialog"], section, nav, header, footer, aside');
+  if (!container) return '';
+
+  const heading = container.querySelector('legend, h1, h2, h3, h4, [role="heading"]');
+  return [
+    container.getAttribute('aria-label'),
+    container.id,
+    container.getAttribute('name'),
+    container.tagName.toLowerCase(),
+    heading?.textContent
+  ].filter(Boolean).join(' ').substring(0, 200);
+}
+
+/**
+ * Check whether a description token appears in a token list
+ * Allows prefix matches for longer words ("sign" vs "signin")
+ * @param {string} token - Description token
+ * @param {string[]} tokens - Candidate tokens
+ * @returns {boolean} - True if found
+ */
+function hasToken(token, tokens) {
+  return tokens.some(candidate =>
+    candidate === token ||
+    (token.length >= 4 && candidate.length >= 4 && (candidate.startsWith(token) || token.startsWith(candidate)))
+  );
+}
+
+/**
+ * Score one candidate element against a parsed description
+ * @param {Element} element - Candidate element
+ * @param {Object} parsed - { phrase, tokens, roles } from parseDescription
+ * @returns {Object} - { score, matchedOn }
+ */
+function scoreCandidate(element, parsed) {
+  let best = { score: 0, matchedOn: null, matched: [] };
+
+  for (const { source, text, weight } of getNameSources(element)) {
+    const sourceTokens = tokenize(text);
+    const matched = parsed.tokens.filter(token => hasToken(token, sourceTokens));
+    let score = parsed.tokens.length ? matched.length / parsed.tokens.length : 0;
+
+    // Reward exact names and penalize long texts that only contain the words somewhere
+    if (parsed.phrase && tokenize(text).join(' ') === parsed.phrase) {
+      score += 0.3;
+    } else if (sourceTokens.length > parsed.tokens.length * 4) {
+      score *= 0.8;
+    }
+
+    score *= weight;
+    if (score > best.score) {
+      best = { score, matchedOn: source, matched };
+    }
+  }
+
+  // Words not found on the element may name its form or dialog
+  const unmatched = parsed.tokens.filter(token => !best.matched.includes(token));
+  if (unmatched.length && best.score > 0) {
+    const containerTokens = tokenize(getContainerText(element));
+    const contextHits = unmatched.filter(token => hasToken(token, containerTokens)).length;
+    best.score += 0.5 * contextHits / parsed.tokens.length;
+  }
+
+  if (parsed.roles.length && parsed.roles.includes(getRole(element))) {
+    best.score += 0.15;
+  }
+
+  return { score: best.score, matchedOn: best.matchedOn };
+}
+
+/**
+ * Split a description into identifying tokens and implied roles
+ * @param {string} description - Element description
+ * @returns {Object} - { phrase, tokens, roles }
+ */
+function parseDescription(description) {
+  const tokens = [];
+  const roles = [];
+
+  tokenize(description).forEach(token => {
+    if (ROLE_WORDS[token]) {
+      roles.push(...ROLE_WORDS[token]);
+    } else if (!STOP_WORDS.has(token)) {
+      tokens.push(token);
+    }
+  });
+
+  // Descriptions made only of role words ("search box") still need something to match
+  if (tokens.length === 0) {
+    tokens.push(...tokenize(description).filter(token => !STOP_WORDS.has(token)));
+  }
+
+  return { phrase: tokens.join(' '), tokens, roles };
+}
+
+/**
+ * Find the element that best matches a natural-language description
+ * Scores visible candidates on accessible name, label, placeholder, ARIA
+ * attributes and visible text, with a bonus when the element's role matches
+ * words such as "button" or "field"
+ * @param {string} description - Element description, e.g. "Email field in the login form"
+ * @param {Object} options - Matching options
+ * @param {string} options.action - Command action; fill and type only match editable elements
+ * @returns {Object|null} - { element, xpath, score, matchedOn }, or null if nothing scores high enough
+ */
+function findElementByDescription(description, { action } = {}) {
+  const parsed = parseDescription(description);
+  if (parsed.tokens.length === 0) {
+    return null;
+  }
+
+  const requireEditable = EDITABLE_ACTIONS.has(action);
+  let best = null;
+
+  document.querySelectorAll(CANDIDATE_SELECTOR).forEach(element => {
+    if (!isVisible(element)) return;
+    if (requireEditable && !isEditable(element)) return;
+
+    const { score, matchedOn } = scoreCandidate(element, parsed);
+    // Earlier elements win ties, matching reading order
+    if (score >= MATCH_THRESHOLD && (!best || score > best.score)) {
+      best = { element, score, matchedOn };
+    }
+  });
+
+  if (!best) {
+    return null;
+  }
+
+  return {
+    ...best,
+    xpath: getXPath(best.element),
+    score: Math.round(best.score * 100) / 100
+  };
+}
+
+/**
+ * Resolve XPaths for commands that only carry a description
+ * @param {Array<Object>} commands - Commands with a description and no xpath
+ * @returns {Array<Object|null>} - { xpath, score, matchedOn } per command, or null when unmatched
+ */
+function resolveDescriptions(commands) {
+  return commands.map(command => {
+    const match = findElementByDescription(command.description, { action: command.action });
+    return match ? { xpath: match.xpath, score: match.score, matchedOn: match.matchedOn } : null;
+  });
+}
+
+export { findElementByDescription, resolveDescriptions, getAccessibleName, getRole, isVisible, tokenize };
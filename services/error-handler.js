@@ -13,6 +13,7 @@ const ErrorType = {
   UNKNOWN: 'unknown_error',
   VALIDATION: 'validation_error',
   TIMEOUT: 'timeout_error',
+  CANCELLED: 'cancelled',
   
   // API specific errors
   AUTHENTICATION: 'authentication_error',
@@ -20,6 +21,7 @@ const ErrorType = {
   RATE_LIMIT: 'rate_limit_error',
   SERVER: 'server_error',
   NETWORK: 'network_error',
+  MODEL_NOT_FOUND: 'model_not_found',
   
   // Service specific errors
   CONFIGURATION: 'configuration_error',
@@ -27,6 +29,7 @@ const ErrorType = {
   
   // Command execution errors
   COMMAND_EXECUTION: 'command_execution_error',
+  BUDGET_EXCEEDED: 'budget_exceeded',
   NAVIGATION: 'navigation_error',
   ELEMENT_NOT_FOUND: 'element_not_found',
   PAGE_LOAD: 'page_load_error',
@@ -36,6 +39,11 @@ const ErrorType = {
   STORAGE: 'storage_error'
 };
 
+/**
+ * Longest Retry-After wait honored before giving up instead of retrying
+ */
+const MAX_RETRY_AFTER_MS = 60000;
+
 /**
  * Custom application error with enhanced properties
  */
@@ -77,7 +85,9 @@ class AppError extends Error {
       [ErrorType.AUTHENTICATION]: 'Authentication failed. Please check your API key.',
       [ErrorType.PERMISSION]: 'Permission denied. Your account may not have access to this resource.',
       [ErrorType.RATE_LIMIT]: 'Rate limit exceeded. Please try again later.',
+      [ErrorType.MODEL_NOT_FOUND]: 'Model not found. Please check the model name for this provider.',
       [ErrorType.TIMEOUT]: 'The operation timed out. Please try again.',
+      [ErrorType.CANCELLED]: 'The operation was cancelled.',
       [ErrorType.NETWORK]: 'Network error. Please check your internet connection.',
       [ErrorType.SERVER]: 'Server error. Please try again later.',
       [ErrorType.ELEMENT_NOT_FOUND]: 'Element not found on the page. The page structure may have changed.',
@@ -104,6 +114,9 @@ class AppError extends Error {
     // If reached max attempts, don't retry
     if (attempt >= maxAttempts) return false;
     
+    // A server that asks for a long pause will not be ready any sooner
+    if (this.data.retryAfterMs > MAX_RETRY_AFTER_MS) return false;
+    
     // Error-type specific retry logic
     switch (this.type) {
       case ErrorType.RATE_LIMIT:
@@ -117,6 +130,9 @@ class AppError extends Error {
       case ErrorType.AUTHENTICATION:
       case ErrorType.PERMISSION:
       case ErrorType.VALIDATION:
+      case ErrorType.MODEL_NOT_FOUND:
+      case ErrorType.CANCELLED:
+      case ErrorType.BUDGET_EXCEEDED:
         // Don't retry user error/configuration errors
         return false;
       default:
@@ -127,11 +143,15 @@ class AppError extends Error {
   
   /**
    * Get recommended backoff time in milliseconds
+   * A Retry-After delay sent by the server takes precedence
    * @param {number} attempt - Current attempt number (1-based)
+   * @param {number} baseBackoff - Backoff before scaling, in milliseconds
    * @returns {number} Recommended backoff in milliseconds
    */
-  getBackoffTime(attempt) {
-    const baseBackoff = 1000; // 1 second
+  getBackoffTime(attempt, baseBackoff = 1000) {
+    if (typeof this.data.retryAfterMs === 'number') {
+      return Math.min(this.data.retryAfterMs, MAX_RETRY_AFTER_MS);
+    }
     
     switch (this.type) {
       case ErrorType.RATE_LIMIT:
@@ -176,7 +196,9 @@ class ApiErrorHandler {
           errorMessage = errorData.error.message;
           
           // Map error types
-          if (errorData.error.type) {
+          if (errorData.error.code === 'model_not_found') {
+            errorType = ErrorType.MODEL_NOT_FOUND;
+          } else if (errorData.error.type) {
             if (errorData.error.type.includes('auth')) {
               errorType = ErrorType.AUTHENTICATION;
             } else if (errorData.error.type.includes('permission')) {
@@ -209,6 +231,9 @@ class ApiErrorHandler {
         errorType = ErrorType.AUTHENTICATION;
       } else if (response.status === 429) {
         errorType = ErrorType.RATE_LIMIT;
+      } else if (/model/i.test(errorMessage) &&
+                 (response.status === 404 || /not.?found|does not exist/i.test(errorMessage))) {
+        errorType = ErrorType.MODEL_NOT_FOUND;
       } else if (response.status >= 500) {
         errorType = ErrorType.SERVER;
       }
@@ -224,12 +249,29 @@ class ApiErrorHandler {
       data: {
         statusCode: response.status,
         statusText: response.statusText,
-        apiResponse: errorData
+        apiResponse: errorData,
+        retryAfterMs: ApiErrorHandler.parseRetryAfter(response.headers?.get('retry-after'))
       },
       retryable
     });
   }
 
+  /**
+   * Parse a Retry-After header
+   * @param {string|null} value - Header value: delay in seconds or an HTTP date
+   * @returns {number|null} - Delay in milliseconds, or null when absent or invalid
+   */
+  static parseRetryAfter(value) {
+    if (!value) return null;
+    
+    if (/^\d+(\.\d+)?$/.test(value.trim())) {
+      return Math.round(parseFloat(value) * 1000);
+    }
+    
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
   /**
    * Handle common connection errors
    * @param {Error} error - Original error
@@ -237,11 +279,19 @@ class ApiErrorHandler {
    * @returns {AppError} - Enhanced error with suggestions
    */
   static handleConnectionError(error, serviceName) {
+    // Errors that were already classified keep their type
+    if (error instanceof AppError) {
+      return error;
+    }
+    
     let errorType = ErrorType.UNKNOWN;
     let retryable = true;
     
     // Determine error type based on message content
-    if (error.message.includes('Failed to fetch') || 
+    if (error.name === 'AbortError') {
+      errorType = ErrorType.CANCELLED;
+      retryable = false;
+    } else if (error.message.includes('Failed to fetch') || 
         error.message.includes('NetworkError')) {
       errorType = ErrorType.NETWORK;
     } else if (error.message.includes('timeout')) {
@@ -289,11 +339,13 @@ class ApiErrorHandler {
   
   /**
    * Retry a function with exponential backoff
-   * @param {Function} fn - Async function to retry
+   * @param {Function} fn - Async function to retry, called with the attempt number
    * @param {Object} options - Retry options
    * @param {number} options.maxAttempts - Maximum number of retry attempts
    * @param {number} options.initialBackoff - Initial backoff in milliseconds
    * @param {Function} options.shouldRetry - Function to determine if error should be retried
+   * @param {Function} options.onRetry - Called with (error, attempt, backoffTime) before each wait
+   * @param {AbortSignal} options.signal - Signal that cancels the wait between attempts
    * @returns {Promise<any>} - Result of the function or throws the last error
    */
   static async retryWithBackoff(fn, options = {}) {
@@ -301,14 +353,15 @@ class ApiErrorHandler {
       maxAttempts = 3,
       initialBackoff = 1000,
       shouldRetry = (error) => true,
-      onRetry = null
+      onRetry = null,
+      signal = null
     } = options;
     
     let lastError;
     
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
       try {
-        return await fn();
+        return await fn(attempt);
       } catch (error) {
         lastError = error;
         
@@ -320,7 +373,7 @@ class ApiErrorHandler {
         // Calculate backoff time - use error's backoff if it's an AppError
         let backoffTime = initialBackoff * Math.pow(1.5, attempt - 1);
         if (error instanceof AppError) {
-          backoffTime = error.getBackoffTime(attempt);
+          backoffTime = error.getBackoffTime(attempt, initialBackoff);
         }
         
         console.log(`Retry attempt ${attempt}/${maxAttempts} after ${backoffTime}ms...`);
@@ -331,13 +384,44 @@ class ApiErrorHandler {
         }
         
         // Wait for backoff time before retrying
-        await new Promise(resolve => setTimeout(resolve, backoffTime));
+        await ApiErrorHandler.wait(backoffTime, signal);
       }
     }
     
     // Should not reach here, but just in case
     throw lastError;
   }
+
+  /**
+   * Wait between attempts, ending early with a cancellation error if the signal aborts
+   * @param {number} ms - Time to wait in milliseconds
+   * @param {AbortSignal} signal - Optional cancel signal
+   * @returns {Promise<void>}
+   */
+  static wait(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      const cancelled = () => new AppError('Request cancelled while waiting to retry', {
+        type: ErrorType.CANCELLED,
+        source: 'retry',
+        retryable: false
+      });
+      
+      if (signal?.aborted) {
+        reject(cancelled());
+        return;
+      }
+      
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(cancelled());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
 }
 
 /**
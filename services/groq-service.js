@@ -18,6 +18,7 @@ class GroqService extends BaseService {
    * @param {string} config.model - Groq model to use
    * @param {number} config.temperature - Sampling temperature (0.0 to 1.0)
    * @param {number} config.maxTokens - Maximum tokens to generate
+   * @param {boolean} config.useToolCalling - Whether to request commands as tool calls
    */
   constructor(config = {}) {
     super({
@@ -26,7 +27,10 @@ class GroqService extends BaseService {
       temperature: config.temperature || 0.3,
       maxTokens: config.maxTokens || 1024,
       apiEndpoint: 'https://api.groq.com/openai/v1/chat/completions',
-      provider: 'groq'
+      provider: 'groq',
+      adapterOptions: {
+        useToolCalling: config.useToolCalling !== false
+      }
     });
     
     Logger.info(`Initialized Groq service with model: ${this.model}`);
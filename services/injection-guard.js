@@ -0,0 +1,127 @@
+/**
+ * Injection Guard Module
+ * Defends against prompt injection from page content: flags page text that
+ * reads like instructions to an AI agent, and tells which domains the user or
+ * the page actually mentioned, so navigation elsewhere can be confirmed first
+ */
+
+/**
+ * Phrasings that address the model rather than a human reader
+ */
+const INSTRUCTION_PATTERNS = [
+  { pattern: /\b(ignore|disregard|forget|override)\b.{0,40}\b(previous|prior|above|earlier|all|any|your)\b.{0,20}\b(instructions?|prompts?|rules|directions|guidelines)\b/i, reason: 'asks to ignore earlier instructions' },
+  { pattern: /\b(new|updated|real|actual)\s+(instructions?|task|objective)\s*:/i, reason: 'announces new instructions' },
+  { pattern: /\b(system|developer)\s+(prompt|message|instructions?)\b/i, reason: 'mentions the system prompt' },
+  { pattern: /<\/?\s*(system|assistant|user|instructions?)\s*>|\[\/?(INST|SYSTEM)\]/i, reason: 'contains chat role markers' },
+  { pattern: /\b(you are now|from now on,? you|act as|pretend to be)\b/i, reason: 'tries to reassign the assistant\'s role' },
+  { pattern: /\b(ai|llm|language model|assistant|agent|chatbot|gpt|claude)\b.{0,60}\b(must|should|need to|are instructed to|have to)\b/i, reason: 'gives orders to an AI agent' },
+  { pattern: /\b(do not|don't|never)\s+(tell|inform|notify|alert)\s+(the\s+)?user\b/i, reason: 'asks to hide something from the user' },
+  { pattern: /\b(navigate|go|redirect|browse)\s+to\b.{0,60}\b(immediately|instead|now)\b/i, reason: 'demands navigation elsewhere' },
+  { pattern: /"action"\s*:\s*"(navigate|click|fill|type|openTab)"/i, reason: 'contains agent commands' }
+];
+
+/**
+ * Hostnames written out in text, e.g. 'shop.example.co.uk'
+ */
+const HOSTNAME_PATTERN = /\b(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,24}\b/gi;
+
+/**
+ * Second-level labels that are part of a country's public suffix, as in example.co.uk
+ */
+const SECOND_LEVEL_SUFFIXES = ['co', 'com', 'org', 'net', 'ac', 'gov', 'edu', 'ne', 'or'];
+
+/**
+ * Check text for phrasing aimed at an AI agent
+ * @param {string} text - Page-derived text
+ * @returns {string|null} - Why the text looks like an instruction, or null
+ */
+function detectInstructions(text) {
+  if (typeof text !== 'string' || text.length < 8) return null;
+  return INSTRUCTION_PATTERNS.find(({ pattern }) => pattern.test(text))?.reason || null;
+}
+
+/**
+ * Flag page context entries whose text reads like instructions to the model
+ * Flagged elements get a `suspicious` reason the prompt builder warns about
+ * @param {Object} pageContext - Page context from getPageContext
+ * @returns {Object} - Copy of the page context with `suspicious` flags and a `suspiciousCount`
+ */
+function flagInstructionText(pageContext) {
+  if (!pageContext) return pageContext;
+
+  let suspiciousCount = 0;
+  const elements = (pageContext.elements || []).map(element => {
+    const attributeText = Object.values(element.attributes || {}).join(' ');
+    const reason = detectInstructions(element.text) || detectInstructions(attributeText);
+    if (!reason) return element;
+
+    suspiciousCount++;
+    return { ...element, suspicious: reason };
+  });
+
+  const titleWarning = detectInstructions(pageContext.title);
+  if (titleWarning) suspiciousCount++;
+
+  return { ...pageContext, elements, titleWarning, suspiciousCount };
+}
+
+/**
+ * Normalize a hostname for comparison
+ * @param {string} hostname - Hostname
+ * @returns {string} - Lowercase hostname without a leading www.
+ */
+function normalizeHost(hostname) {
+  return (hostname || '').toLowerCase().replace(/\.$/, '').replace(/^www\./, '');
+}
+
+/**
+ * Collect the hostnames mentioned in a set of texts and URLs
+ * @param {Array<string>} texts - Prompts and URLs
+ * @returns {Set<string>} - Normalized hostnames
+ */
+function collectKnownDomains(texts = []) {
+  const domains = new Set();
+  texts.forEach(text => {
+    if (typeof text !== 'string' || !text) return;
+    (text.match(HOSTNAME_PATTERN) || []).forEach(host => domains.add(normalizeHost(host)));
+  });
+  return domains;
+}
+
+/**
+ * Get the name part of a hostname, e.g. 'amazon' for smile.amazon.co.uk
+ * @param {string} hostname - Normalized hostname
+ * @returns {string} - Site name
+ */
+function getSiteName(hostname) {
+  const labels = hostname.split('.');
+  if (labels.length >= 3 && SECOND_LEVEL_SUFFIXES.includes(labels[labels.length - 2])) {
+    return labels[labels.length - 3];
+  }
+  return labels.length >= 2 ? labels[labels.length - 2] : labels[0];
+}
+
+/**
+ * Check whether a hostname was mentioned, as the same host, a subdomain or a parent domain,
+ * or by its site name in the user's own words
+ * @param {string} hostname - Hostname about to be visited
+ * @param {Set<string>} knownDomains - Hostnames from collectKnownDomains
+ * @param {string} userText - The user's prompts, where a bare site name also counts
+ * @returns {boolean} - True if the host is known
+ */
+function isKnownHost(hostname, knownDomains, userText = '') {
+  const host = normalizeHost(hostname);
+  if (!host) return false;
+
+  for (const domain of knownDomains) {
+    if (host === domain || host.endsWith(`.${domain}`) || domain.endsWith(`.${host}`)) {
+      return true;
+    }
+  }
+
+  const siteName = getSiteName(host);
+  return siteName.length >= 3 &&
+    new RegExp(`\\b${siteName}\\b`, 'i').test(userText || '');
+}
+
+export { detectInstructions, flagInstructionText, collectKnownDomains, isKnownHost };
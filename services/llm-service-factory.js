@@ -3,6 +3,8 @@
  */
 import GroqService from './groq-service.js';
 import OpenAIService from './openai-service.js';
+import ClaudeService from './claude-service.js';
+import CustomService from './custom-service.js';
 
 /**
  * Factory class for creating LLM service instances
@@ -11,7 +13,7 @@ import OpenAIService from './openai-service.js';
 class LLMServiceFactory {
   /**
    * Create an LLM service instance based on the provider name
-   * @param {string} provider - The service provider name ('groq', 'openai', etc.)
+   * @param {string} provider - The service provider name ('groq', 'openai', 'claude', etc.)
    * @param {Object} config - Configuration object for the service
    * @returns {LLMService} - An instance of the requested LLM service
    */
@@ -21,6 +23,10 @@ class LLMServiceFactory {
         return new GroqService(config);
       case 'openai':
         return new OpenAIService(config);
+      case 'claude':
+        return new ClaudeService(config);
+      case 'custom':
+        return new CustomService(config);
       default:
         console.warn(`Unknown provider: ${provider}. Using Groq as fallback.`);
         return new GroqService(config);
@@ -87,9 +87,10 @@ class LLMServiceManager {
    * @param {string} prompt - User's natural language instructions
    * @param {Object} pageContext - Optional page context information
    * @param {Object} sessionInfo - Optional session information including history
+   * @param {Object} requestOptions - Per-request options such as an AbortSignal
    * @returns {Promise<Object>} - Structured commands object
    */
-  async processPrompt(prompt, pageContext = null, sessionInfo = {}) {
+  async processPrompt(prompt, pageContext = null, sessionInfo = {}, requestOptions = {}) {
     if (!this.currentService) {
       await this.initialize();
     }
@@ -103,7 +104,7 @@ class LLMServiceManager {
       
       const startTime = performance.now();
       
-      const result = await this.currentService.processPrompt(prompt, pageContext, sessionInfo);
+      const result = await this.currentService.processPrompt(prompt, pageContext, sessionInfo, requestOptions);
       
       const endTime = performance.now();
       const processingTime = (endTime - startTime) / 1000;
@@ -111,7 +112,11 @@ class LLMServiceManager {
       
       return result;
     } catch (error) {
-      Logger.error(`Error processing prompt with ${this.currentProvider} service:`, error);
+      if (error.type === ErrorType.CANCELLED) {
+        Logger.info(`Prompt processing with ${this.currentProvider} service was cancelled`);
+      } else {
+        Logger.error(`Error processing prompt with ${this.currentProvider} service:`, error);
+      }
       throw error;
     }
   }
@@ -120,9 +125,10 @@ class LLMServiceManager {
    * Refine a selector for a specific command using page context
    * @param {Object} command - The command to refine
    * @param {Object} pageContext - Current page context
+   * @param {Object} requestOptions - Per-request options such as an AbortSignal
    * @returns {Promise<Object>} - Command with refined selector
    */
-  async refineSelectorForCommand(command, pageContext) {
+  async refineSelectorForCommand(command, pageContext, requestOptions = {}) {
     if (!this.currentService) {
       await this.initialize();
     }
@@ -143,7 +149,7 @@ If you find a matching element in the interactive elements list, use its exact X
 If not, suggest a description that might be better for finding the element.`;
       
       // Process the prompt with the page context
-      const result = await this.currentService.processPrompt(refinementPrompt, pageContext);
+      const result = await this.currentService.processPrompt(refinementPrompt, pageContext, {}, requestOptions);
       
       // Extract the XPath from the response
       if (result && result.commands && result.commands.length > 0) {
@@ -162,12 +168,30 @@ If not, suggest a description that might be better for finding the element.`;
       // If we couldn't get a refined XPath, return the original command
       return command;
     } catch (error) {
+      if (error.type === ErrorType.CANCELLED) {
+        throw error;
+      }
+      
       Logger.error(`Error refining XPath:`, error);
       // Return the original command if refinement fails
       return command;
     }
   }
 
+  /**
+   * Test a provider configuration without replacing the current service
+   * @param {string} provider - The service provider to test
+   * @param {Object} config - Configuration to test
+   * @returns {Promise<Object>} - Structured connection test result
+   */
+  async testProviderConnection(provider, config = {}) {
+    const serviceProvider = provider || this.getCurrentProvider();
+    Logger.info(`Testing ${serviceProvider} configuration with a temporary service`);
+    
+    const service = LLMServiceFactory.createService(serviceProvider, config);
+    return service.runConnectionTest();
+  }
+
   /**
    * Get the current service provider name
    * @returns {string} - Current provider name
@@ -191,7 +215,7 @@ If not, suggest a description that might be better for finding the element.`;
    * @returns {string[]} Array of supported provider names
    */
   getSupportedProviders() {
-    return ['groq', 'openai'];
+    return ['groq', 'openai', 'claude', 'custom'];
   }
 }
 
@@ -11,9 +11,12 @@ class LLMService {
    * @param {string} sessionInfo.initialPrompt - The first prompt from the user that started the session
    * @param {Array} sessionInfo.actionHistory - Array of previously executed actions and their results
    * @param {boolean} sessionInfo.isNewSession - Whether this is a new session
+   * @param {Object} requestOptions - Per-request options
+   * @param {AbortSignal} requestOptions.signal - Signal that aborts the in-flight request
+   * @param {Function} requestOptions.onProgress - Progress callback for this request only
    * @returns {Promise<Object>} - Structured browser commands
    */
-  async processPrompt(prompt, pageContext, sessionInfo = {}) {
+  async processPrompt(prompt, pageContext, sessionInfo = {}, requestOptions = {}) {
     throw new Error('Method not implemented. Each LLM service must implement this method.');
   }
 
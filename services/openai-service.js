@@ -17,6 +17,7 @@ class OpenAIService extends BaseService {
    * @param {string} config.model - OpenAI model to use
    * @param {number} config.temperature - Sampling temperature (0.0 to 1.0)
    * @param {number} config.maxTokens - Maximum tokens to generate
+   * @param {boolean} config.useToolCalling - Whether to request commands as tool calls
    */
   constructor(config = {}) {
     super({
@@ -25,7 +26,10 @@ class OpenAIService extends BaseService {
       temperature: config.temperature || 0.3,
       maxTokens: config.maxTokens || 1024,
       apiEndpoint: 'https://api.openai.com/v1/chat/completions',
-      provider: 'openai'
+      provider: 'openai',
+      adapterOptions: {
+        useToolCalling: config.useToolCalling !== false
+      }
     });
     
     console.log(`🔧 Initialized OpenAI service with model: ${this.model}`);
@@ -0,0 +1,210 @@
+/**
+ * Redaction Module
+ * Keeps secrets and personal data out of everything sent to the LLM.
+ * Page text matching the configured patterns is masked, and values the user
+ * provides are swapped for {{secret_n}} placeholders. The placeholders' values
+ * stay in the session and are substituted by the content script at execution time.
+ */
+import { compileUserPatterns } from './user-patterns.js';
+
+/**
+ * Text that replaces masked page content
+ */
+const REDACTED = '[redacted]';
+
+/**
+ * Matches {{secret_n}} placeholders
+ */
+const PLACEHOLDER_PATTERN = /\{\{(secret_\d+)\}\}/g;
+
+/**
+ * Credentials spelled out in a prompt, e.g. 'password is hunter2' or 'OTP: 123456'
+ * The value is the last group
+ */
+const CREDENTIAL_PHRASE = /\b(password|passphrase|passcode|pin|otp|one-time code|verification code|security code|cvv|cvc)(\s*(?:is|=|:)\s*)(["']?)([^\s"',;]+)\3/gi;
+
+/**
+ * Command fields whose placeholders are filled in before the command runs:
+ * values typed into the page, URLs to open and text to wait for
+ */
+const VALUE_FIELDS = ['value', 'url', 'text'];
+
+/**
+ * Result fields that may echo a filled value
+ */
+const ECHO_FIELDS = ['value', 'url', 'error'];
+
+/**
+ * Check whether text is one placeholder, so it is never concealed twice
+ * @param {string} text - Text to check
+ * @returns {boolean} - True for '{{secret_n}}'
+ */
+function isPlaceholder(text) {
+  return /^\{\{secret_\d+\}\}$/.test(text);
+}
+
+/**
+ * Mask text matching the redaction patterns
+ * @param {string} text - Page text
+ * @param {RegExp[]} expressions - Compiled patterns
+ * @returns {string} - Masked text
+ */
+function maskText(text, expressions) {
+  if (typeof text !== 'string' || !text) return text;
+  return expressions.reduce((masked, expression) => masked.replace(expression, REDACTED), text);
+}
+
+/**
+ * Mask personal data in a page context before it reaches the prompt builder
+ * Sensitive fields were already emptied by the content script; this masks
+ * matching text in element text, attributes, the page URL and title, and tab URLs and titles
+ * @param {Object} pageContext - Page context from getPageContext
+ * @param {string[]} patterns - Regular expression sources
+ * @returns {Object} - Redacted copy of the page context
+ */
+function redactPageContext(pageContext, patterns = []) {
+  const expressions = compileUserPatterns(patterns, 'gi');
+  if (!pageContext || expressions.length === 0) return pageContext;
+
+  return {
+    ...pageContext,
+    url: maskText(pageContext.url, expressions),
+    title: maskText(pageContext.title, expressions),
+    tabs: pageContext.tabs?.map(tab => ({
+      ...tab,
+      url: maskText(tab.url, expressions),
+      title: maskText(tab.title, expressions)
+    })),
+    elements: pageContext.elements?.map(element => ({
+      ...element,
+      text: maskText(element.text, expressions),
+      attributes: element.attributes && Object.fromEntries(
+        Object.entries(element.attributes).map(([key, value]) => [key, maskText(value, expressions)])
+      )
+    }))
+  };
+}
+
+/**
+ * Store a secret value and get its placeholder, reusing the placeholder of an equal value
+ * @param {Object} secrets - Session secrets, name → value; updated in place
+ * @param {string} value - Secret value
+ * @returns {string} - Placeholder such as '{{secret_1}}'
+ */
+function concealValue(secrets, value) {
+  const text = String(value);
+  if (isPlaceholder(text)) return text;
+
+  const existing = Object.keys(secrets).find(name => secrets[name] === text);
+  const name = existing || `secret_${Object.keys(secrets).length + 1}`;
+  secrets[name] = text;
+  return `{{${name}}}`;
+}
+
+/**
+ * Replace credentials and personal data in user-written text with placeholders
+ * @param {string} text - Prompt or other user text
+ * @param {Object} secrets - Session secrets; updated in place
+ * @param {string[]} patterns - Regular expression sources for personal data
+ * @returns {string} - Text safe to send to the LLM
+ */
+function concealSecrets(text, secrets, patterns = []) {
+  if (typeof text !== 'string' || !text) return text;
+
+  let concealed = text.replace(CREDENTIAL_PHRASE, (match, label, separator, quote, value) =>
+    `${label}${separator}${concealValue(secrets, value)}`
+  );
+
+  compileUserPatterns(patterns, 'gi').forEach(expression => {
+    concealed = concealed.replace(expression, match => concealValue(secrets, match));
+  });
+
+  return concealed;
+}
+
+/**
+ * Check whether a value matches any redaction pattern
+ * @param {*} value - Value to check
+ * @param {string[]} patterns - Regular expression sources
+ * @returns {boolean} - True if the value holds personal data
+ */
+function containsPersonalData(value, patterns = []) {
+  if (typeof value !== 'string' || !value) return false;
+  return compileUserPatterns(patterns, 'gi').some(expression => expression.test(value));
+}
+
+/**
+ * Substitute placeholders in a command's values with the secrets they stand for
+ * @param {Object} commandData - Command object
+ * @param {Object} secrets - Secrets by name
+ * @returns {Object} - Command with the real values
+ */
+function revealSecrets(commandData, secrets = {}) {
+  const revealed = { ...commandData };
+  VALUE_FIELDS.forEach(field => {
+    if (typeof revealed[field] === 'string') {
+      revealed[field] = revealed[field].replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+        secrets[name] ?? placeholder
+      );
+    }
+  });
+  return revealed;
+}
+
+/**
+ * Get the secrets a command's placeholders refer to
+ * @param {Object} commandData - Command object
+ * @param {Object} secrets - Secrets by name
+ * @returns {Object} - Only the secrets the command uses, by name
+ */
+function pickUsedSecrets(commandData, secrets = {}) {
+  const used = {};
+  VALUE_FIELDS.forEach(field => {
+    if (typeof commandData[field] !== 'string') return;
+    for (const [, name] of commandData[field].matchAll(PLACEHOLDER_PATTERN)) {
+      if (name in secrets) {
+        used[name] = secrets[name];
+      }
+    }
+  });
+  return used;
+}
+
+/**
+ * Put placeholders back in place of secret values in a command result,
+ * so values and error messages do not echo them
+ * @param {Object} result - Command result
+ * @param {Object} secrets - Secrets by name
+ * @returns {Object} - Result without secret values
+ */
+function hideSecrets(result, secrets = {}) {
+  const entries = Object.entries(secrets).filter(([, value]) => value);
+  if (entries.length === 0) return result;
+
+  const hide = (text) => entries.reduce(
+    (hidden, [name, value]) => hidden.split(value).join(`{{${name}}}`),
+    text
+  );
+
+  const hidden = { ...result };
+  ECHO_FIELDS.forEach(field => {
+    if (typeof hidden[field] === 'string') {
+      hidden[field] = hide(hidden[field]);
+    }
+  });
+  // Navigations report where the tab ended up, which may carry a filled URL
+  if (typeof hidden.navigation?.url === 'string') {
+    hidden.navigation = { ...hidden.navigation, url: hide(hidden.navigation.url) };
+  }
+  return hidden;
+}
+
+export {
+  redactPageContext,
+  concealValue,
+  concealSecrets,
+  containsPersonalData,
+  revealSecrets,
+  pickUsedSecrets,
+  hideSecrets
+};
@@ -0,0 +1,107 @@
+/**
+ * Risk Classifier Module
+ * Flags commands that would buy, delete, send or transfer something, so the
+ * background can ask the user before they run
+ */
+import { findTarget } from './element-fingerprint.js';
+import { getAccessibleName } from './element-matcher.js';
+import { compileUserPatterns } from './user-patterns.js';
+
+/**
+ * Pages where submitting a form is treated as risky
+ */
+const CHECKOUT_PAGE_PATTERN = /\b(checkout|check-out|payment|billing|place-?order|purchase|transfer)\b/i;
+
+/**
+ * Keys that submit the form of the focused field
+ */
+const SUBMIT_KEYS = ['Enter', 'NumpadEnter'];
+
+/**
+ * Check whether an element submits its form when clicked
+ * @param {Element} element - Clicked element
+ * @returns {boolean} - True for submit buttons
+ */
+function isSubmitControl(element) {
+  const tag = element.tagName.toLowerCase();
+  const type = (element.getAttribute('type') || '').toLowerCase();
+
+  if (tag === 'button') return type === '' || type === 'submit';
+  if (tag === 'input') return type === 'submit' || type === 'image';
+  return false;
+}
+
+/**
+ * Check whether an element is a button, where a single verb names the action it performs
+ * @param {Element} element - Target element
+ * @returns {boolean} - True for buttons and button-like inputs
+ */
+function isButtonControl(element) {
+  const tag = element.tagName.toLowerCase();
+  const type = (element.getAttribute('type') || '').toLowerCase();
+
+  if (tag === 'button' || element.getAttribute('role') === 'button') return true;
+  return tag === 'input' && ['submit', 'button', 'image'].includes(type);
+}
+
+/**
+ * Assess whether a command performs a sensitive action
+ * Looks at the target's text, the command description, the form it submits
+ * and whether the page is a checkout page
+ * @param {Object} commandData - Command object
+ * @param {string[]} patterns - Regular expression sources describing risky actions
+ * @param {string[]} buttonPatterns - Sources matched only against the text of buttons and submit controls
+ * @returns {Object} - { risky, reasons, targetText }
+ */
+function assessCommandRisk(commandData, patterns = [], buttonPatterns = []) {
+  const expressions = compileUserPatterns(patterns);
+  const buttonExpressions = compileUserPatterns(buttonPatterns);
+  const reasons = [];
+  const matchText = (label, text, isButton = false) => {
+    const candidates = isButton ? [...expressions, ...buttonExpressions] : expressions;
+    const expression = text && candidates.find(candidate => candidate.test(text));
+    if (expression) {
+      reasons.push(`${label} "${text.substring(0, 80)}" matches ${expression}`);
+    }
+  };
+
+  const target = findTarget(commandData);
+  const isSubmitKey = commandData.action === 'press' && SUBMIT_KEYS.includes(commandData.key);
+  const focused = commandData.action === 'press' && !target ? document.activeElement : null;
+  const element = target || focused;
+
+  // Clicks often land on an icon or span inside the real button
+  const control = element?.closest('button, a, input, [role="button"], [role="link"]') || element;
+  const form = control?.form || control?.closest('form') || null;
+  const submits = Boolean(form) && (
+    (commandData.action === 'click' && isSubmitControl(control)) || isSubmitKey
+  );
+
+  let targetText = '';
+  if (commandData.action === 'click' && control) {
+    targetText = getAccessibleName(control) || (control.value || '').trim();
+    matchText('Target', targetText, isButtonControl(control) || submits);
+  }
+
+  matchText('Description', commandData.description);
+
+  if (submits) {
+    // Pressing Enter submits through the form's default button
+    const submitter = isSubmitKey ? form.querySelector('button:not([type]), button[type="submit"], input[type="submit"]') : control;
+    if (isSubmitKey && submitter) {
+      targetText = getAccessibleName(submitter) || (submitter.value || '').trim();
+      matchText('Submit button', targetText, true);
+    }
+
+    const action = form.getAttribute('action') || '';
+    matchText('Form action', action);
+
+    if (CHECKOUT_PAGE_PATTERN.test(`${window.location.href} ${document.title} ${action}`)) {
+      reasons.push('Submits a form on a checkout or payment page');
+    }
+  }
+
+  return { risky: reasons.length > 0, reasons, targetText };
+}
+
+export { assessCommandRisk };
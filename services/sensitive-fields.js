@@ -0,0 +1,129 @@
+/**
+ * Sensitive Fields Module
+ * Recognizes inputs that hold passwords, card details, national ids and
+ * one-time codes, so their values never leave the page in a snapshot
+ */
+import { findElementByXPath } from 'browsermagic-dom';
+
+/**
+ * Kinds of sensitive field, by autocomplete token and by name/label wording
+ */
+const SENSITIVE_FIELD_KINDS = [
+  {
+    kind: 'password',
+    autocomplete: ['current-password', 'new-password'],
+    pattern: /pass(word|phrase)|\bpwd\b|\bpin\b/i
+  },
+  {
+    kind: 'card number',
+    autocomplete: ['cc-number'],
+    pattern: /card.?(number|num|no)\b|\bcc.?(number|num)\b|credit.?card|debit.?card/i
+  },
+  {
+    kind: 'card security code',
+    autocomplete: ['cc-csc'],
+    pattern: /\bcvv2?\b|\bcvc2?\b|\bcsc\b|\bcid\b|security.?code|card.?verification/i
+  },
+  {
+    kind: 'card expiry',
+    autocomplete: ['cc-exp', 'cc-exp-month', 'cc-exp-year'],
+    pattern: /\bexp(iry|iration)?.?(date|month|year|mm|yy)\b|\bcc.?exp/i
+  },
+  {
+    kind: 'national id',
+    autocomplete: [],
+    pattern: /\bssn\b|social.?security|national.?(id|insurance)|tax.?(id|number)|\bitin\b|passport.?(number|no)/i
+  },
+  {
+    kind: 'one-time code',
+    autocomplete: ['one-time-code'],
+    pattern: /\botp\b|one.?time|verification.?code|security.?token|\b2fa\b|\bmfa\b|auth(entication)?.?code|passcode/i
+  }
+];
+
+/**
+ * Input types that never hold typed secrets
+ */
+const NON_TEXT_INPUT_TYPES = ['checkbox', 'radio', 'submit', 'button', 'reset', 'image', 'file', 'range', 'color', 'hidden'];
+
+/**
+ * Get the words that name a field: its attributes and labels, never its value
+ * @param {Element} element - Field element
+ * @returns {string} - Naming text
+ */
+function getFieldNaming(element) {
+  const labelledBy = (element.getAttribute('aria-labelledby') || '')
+    .split(/\s+/)
+    .map(id => id && document.getElementById(id)?.textContent);
+
+  return [
+    element.getAttribute('name'),
+    element.id,
+    element.getAttribute('placeholder'),
+    element.getAttribute('aria-label'),
+    ...labelledBy,
+    ...Array.from(element.labels || []).map(label => label.textContent)
+  ].filter(Boolean).join(' ').replace(/\s+/g, ' ').substring(0, 300);
+}
+
+/**
+ * Get the kind of sensitive value a field holds
+ * @param {Element} element - Element to inspect
+ * @returns {string|null} - Kind such as 'password' or 'card number', or null for ordinary fields
+ */
+function getSensitiveFieldKind(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+
+  const tag = element.tagName.toLowerCase();
+  const type = (element.getAttribute('type') || '').toLowerCase();
+  if (tag === 'input' && type === 'password') return 'password';
+  if (tag === 'input' ? NON_TEXT_INPUT_TYPES.includes(type) : tag !== 'textarea' && !element.isContentEditable) {
+    return null;
+  }
+
+  const autocomplete = (element.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+  const byAutocomplete = SENSITIVE_FIELD_KINDS.find(entry =>
+    entry.autocomplete.some(token => autocomplete.includes(token))
+  );
+  if (byAutocomplete) return byAutocomplete.kind;
+
+  const naming = getFieldNaming(element);
+  return SENSITIVE_FIELD_KINDS.find(entry => entry.pattern.test(naming))?.kind || null;
+}
+
+/**
+ * Check whether a field holds a sensitive value
+ * @param {Element} element - Element to inspect
+ * @returns {boolean} - True for password, card, id and one-time code fields
+ */
+function isSensitiveField(element) {
+  return getSensitiveFieldKind(element) !== null;
+}
+
+/**
+ * Mark sensitive fields in snapshot elements and drop their values in place
+ * The element text becomes the field's label, and fingerprints lose the value too
+ * @param {Array<Object>} elements - Snapshot elements with an xpath
+ * @returns {Array<Object>} - The same elements
+ */
+function maskSensitiveFields(elements = []) {
+  elements.forEach(entry => {
+    try {
+      const element = entry.xpath && findElementByXPath(entry.xpath);
+      const kind = getSensitiveFieldKind(element);
+      if (!kind) return;
+
+      const label = getFieldNaming(element).substring(0, 100);
+      entry.sensitive = kind;
+      entry.text = label;
+      if (entry.fingerprint) {
+        entry.fingerprint.text = label;
+      }
+    } catch (error) {
+      console.warn(`Could not check ${entry.xpath} for sensitive values:`, error);
+    }
+  });
+  return elements;
+}
+
+export { getSensitiveFieldKind, isSensitiveField, maskSensitiveFields };
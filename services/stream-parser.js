@@ -0,0 +1,243 @@
+/**
+ * Stream Parser Module
+ * Reads server-sent events from a streamed completion and assembles the
+ * command response while it arrives: items of the "commands" and
+ * "progressSteps" arrays are reported as soon as each one is complete, and
+ * streamed tool calls as soon as their arguments are
+ */
+import { Logger } from '../src/shared/utils';
+
+/**
+ * Response arrays whose items are reported as they complete
+ */
+const STREAMED_FIELDS = ['commands', 'progressSteps'];
+
+/**
+ * Read a server-sent events body and pass each event's data on, parsed as JSON
+ * @param {Response} response - Fetch response with a text/event-stream body
+ * @param {Function} onData - Called with each parsed event; may throw to end the stream
+ * @returns {Promise<void>} - Resolves when the stream ends or sends [DONE]
+ */
+async function readServerSentEvents(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (block) => {
+    const data = block
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).replace(/^ /, ''))
+      .join('\n');
+
+    if (!data) return false;
+    if (data === '[DONE]') return true;
+
+    try {
+      onData(JSON.parse(data));
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        Logger.warn(`Skipping malformed stream event: ${data.substring(0, 100)}`);
+        return false;
+      }
+      throw error;
+    }
+    return false;
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = done ? '' : blocks.pop();
+
+      for (const block of blocks) {
+        if (dispatch(block)) return;
+      }
+      if (done) return;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Incremental parser for a command response streamed as JSON text
+ * Scans each chunk once, tracking nesting, and parses an item of a streamed
+ * array as soon as its closing brace arrives. Text before the first brace,
+ * such as a markdown fence, is skipped.
+ */
+class StreamingCommandParser {
+  constructor() {
+    this.text = '';
+    this.position = 0;
+    this.started = false;
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.stringStart = -1;
+    this.lastString = null;
+    this.currentField = null;
+    this.itemStart = -1;
+    this.counts = Object.fromEntries(STREAMED_FIELDS.map(field => [field, 0]));
+  }
+
+  /**
+   * Add streamed text
+   * @param {string} chunk - Next piece of the reply
+   * @returns {Array<Object>} - Items completed by this chunk, as { field, index, item }
+   */
+  push(chunk) {
+    const completed = [];
+    this.text += chunk;
+
+    for (; this.position < this.text.length; this.position++) {
+      const char = this.text[this.position];
+
+      if (!this.started) {
+        if (char === '{') {
+          this.started = true;
+          this.depth = 1;
+        }
+        continue;
+      }
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+          this.lastString = this.text.slice(this.stringStart + 1, this.position);
+        }
+        continue;
+      }
+
+      switch (char) {
+        case '"':
+          this.inString = true;
+          this.stringStart = this.position;
+          break;
+        case ':':
+          // A key of the top-level object names the value that follows
+          if (this.depth === 1) {
+            this.currentField = this.lastString;
+          }
+          break;
+        case '{':
+        case '[':
+          this.depth++;
+          if (this.depth === 3 && char === '{' && STREAMED_FIELDS.includes(this.currentField)) {
+            this.itemStart = this.position;
+          }
+          break;
+        case '}':
+        case ']':
+          if (this.depth === 3 && char === '}' && this.itemStart !== -1) {
+            const item = this.parseItem(this.text.slice(this.itemStart, this.position + 1));
+            if (item) {
+              completed.push({ field: this.currentField, index: this.counts[this.currentField]++, item });
+            }
+            this.itemStart = -1;
+          }
+          this.depth--;
+          break;
+        default:
+          break;
+      }
+    }
+
+    return completed;
+  }
+
+  /**
+   * Parse one array item
+   * @param {string} source - JSON text of the item
+   * @returns {Object|null} - Parsed item, or null if it is not valid JSON
+   */
+  parseItem(source) {
+    try {
+      return JSON.parse(source);
+    } catch (error) {
+      Logger.debug(`Could not parse streamed item: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+/**
+ * Assembles tool calls from streamed deltas
+ * A call is complete when the adapter marks its block done, when a call with a
+ * higher index starts, or when the stream ends
+ */
+class ToolCallAccumulator {
+  constructor() {
+    this.calls = [];
+  }
+
+  /**
+   * Add streamed tool call deltas
+   * @param {Array<Object>} deltas - Deltas as { index, name, arguments, done }
+   * @returns {Array<Object>} - Calls completed by these deltas, as { name, input }
+   */
+  push(deltas = []) {
+    const completed = [];
+
+    deltas.forEach(delta => {
+      const call = this.calls[delta.index] || (this.calls[delta.index] = { name: '', arguments: '', input: null });
+      if (delta.name) call.name = delta.name;
+      if (delta.arguments) call.arguments += delta.arguments;
+
+      // Calls stream one after another, so a new call ends the ones before it
+      for (let index = 0; index < delta.index; index++) {
+        completed.push(...this.finish(index));
+      }
+      if (delta.done) {
+        completed.push(...this.finish(delta.index));
+      }
+    });
+
+    return completed;
+  }
+
+  /**
+   * Complete every call still open when the stream ends
+   * @returns {Array<Object>} - Calls completed now, as { name, input }
+   */
+  end() {
+    return this.calls.flatMap((call, index) => this.finish(index));
+  }
+
+  /**
+   * Complete one call by parsing its arguments
+   * @param {number} index - Call index
+   * @returns {Array<Object>} - The call as { name, input }, or nothing if it was already complete
+   */
+  finish(index) {
+    const call = this.calls[index];
+    if (!call || !call.name || call.input) return [];
+
+    try {
+      call.input = JSON.parse(call.arguments || '{}');
+    } catch (error) {
+      Logger.warn(`Could not parse arguments of streamed ${call.name} tool call: ${error.message}`);
+      call.input = {};
+    }
+    return [{ name: call.name, input: call.input }];
+  }
+
+  /**
+   * Get every completed call, in stream order
+   * @returns {Array<Object>} - Calls as { name, input }
+   */
+  getCalls() {
+    return this.calls
+      .filter(call => call && call.input)
+      .map(({ name, input }) => ({ name, input }));
+  }
+}
+
+export { readServerSentEvents, StreamingCommandParser, ToolCallAccumulator };
@@ -0,0 +1,38 @@
+/**
+ * User Patterns Module
+ * Compiles the regular expressions users edit in the safety settings, so every
+ * pattern list treats invalid entries the same way
+ */
+
+/**
+ * Escape text for use as a literal in a regular expression
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile user-editable patterns
+ * Blank lines are skipped, and a pattern that is not a valid regular expression
+ * is matched as plain text, so a typo still guards or masks what it names
+ * @param {string[]} patterns - Regular expression sources
+ * @param {string} flags - Flags for every expression; case-insensitive by default
+ * @returns {RegExp[]} - Compiled expressions
+ */
+function compileUserPatterns(patterns = [], flags = 'i') {
+  return patterns
+    .map(pattern => (pattern || '').trim())
+    .filter(Boolean)
+    .map(source => {
+      try {
+        return new RegExp(source, flags);
+      } catch (error) {
+        console.warn(`Matching invalid pattern ${source} as plain text:`, error);
+        return new RegExp(escapeRegExp(source), flags);
+      }
+    });
+}
+
+export { escapeRegExp, compileUserPatterns };
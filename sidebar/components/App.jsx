@@ -28,6 +28,22 @@ const App = () => {
         temperature: 0.3,
         maxTokens: 1024,
       },
+      claude: {
+        apiKey: '',
+        model: 'claude-3-7-sonnet-20250219',
+        temperature: 0.3,
+        maxTokens: 1024,
+      },
+      custom: {
+        baseUrl: 'http://localhost:8000/v1',
+        apiKey: '',
+        model: '',
+        temperature: 0.3,
+        maxTokens: 1024,
+        extraHeaders: '',
+        useResponseFormat: false,
+        useToolCalling: false,
+      },
     },
   });
 
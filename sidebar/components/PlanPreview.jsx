@@ -0,0 +1,75 @@
+import React from 'react';
+import { FiCheckCircle, FiAlertCircle, FiMinusCircle, FiX } from 'react-icons/fi';
+import { clsx } from 'clsx';
+import { Button } from '../../src/shared/components/ui';
+
+/**
+ * Plan preview component for dry runs
+ * Lists the planned commands, numbered like their boxes on the page, and
+ * whether each command's target element was found
+ */
+const PlanPreview = ({ plan, onClear }) => {
+  /**
+   * Get the status icon and note for a planned step
+   */
+  const getStatus = (step) => {
+    if (!step.hasTarget) {
+      return { icon: FiMinusCircle, className: 'text-text-tertiary', note: null };
+    }
+    if (step.targetFound) {
+      return {
+        icon: FiCheckCircle,
+        className: 'text-success',
+        note: step.resolvedBy === 'semantic' ? 'Target found by description' : null
+      };
+    }
+    return { icon: FiAlertCircle, className: 'text-warning', note: step.reason };
+  };
+
+  return (
+    <div className="mt-3 border border-border rounded-md bg-surface">
+      <div className="px-3 py-2 border-b border-divider flex items-center justify-between">
+        <span className="text-sm font-medium">
+          Planned steps ({plan.length})
+        </span>
+        <Button
+          variant="ghost"
+          className="text-xs"
+          onClick={onClear}
+          icon={<FiX size={14} />}
+        >
+          Clear preview
+        </Button>
+      </div>
+
+      {plan.length > 0 ? (
+        <ol className="list-none p-0 m-0 max-h-72 overflow-auto">
+          {plan.map((step, index) => {
+            const { icon: Icon, className, note } = getStatus(step);
+
+            return (
+              <li key={step.index ?? index} className="p-3 border-b border-divider last:border-b-0 flex items-start gap-2">
+                <span className="flex-shrink-0 w-5 h-5 rounded-full bg-primary text-white text-xs font-bold flex items-center justify-center">
+                  {index + 1}
+                </span>
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm break-words">{step.summary}</div>
+                  {note && (
+                    <div className="text-xs text-text-tertiary mt-1">{note}</div>
+                  )}
+                </div>
+                <Icon size={16} className={clsx('flex-shrink-0 mt-0.5', className)} />
+              </li>
+            );
+          })}
+        </ol>
+      ) : (
+        <div className="p-3 text-center text-sm text-text-tertiary">
+          The model planned no commands
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlanPreview;
@@ -1,5 +1,5 @@
-import React, { useState } from 'react';
-import { FiSend, FiClock, FiRefreshCw } from 'react-icons/fi';
+import React, { useState, useEffect } from 'react';
+import { FiSend, FiClock, FiRefreshCw, FiSquare, FiPlus, FiCornerDownRight, FiEye } from 'react-icons/fi';
 import { 
   Button, 
   Card, 
@@ -8,6 +8,9 @@ import {
   ProgressIndicator
 } from '../../src/shared/components/ui';
 import { usePromptHistory, useBackgroundMessaging } from '../../src/shared/hooks';
+import StepConfirmation from './StepConfirmation';
+import SensitiveActionPrompt from './SensitiveActionPrompt';
+import PlanPreview from './PlanPreview';
 
 /**
  * Prompt input view for executing commands
@@ -18,28 +21,76 @@ const PromptView = ({ settings }) => {
   const [isProcessing, setIsProcessing] = useState(false);
   const [status, setStatus] = useState({ message: '', type: 'info' });
   const [showHistory, setShowHistory] = useState(false);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [session, setSession] = useState(null);
+  const [startNewSession, setStartNewSession] = useState(false);
+  const [plan, setPlan] = useState(null);
   
   // Custom hooks
   const { history, addToHistory, getLatest } = usePromptHistory();
-  const { processPrompt, progress, isLoading } = useBackgroundMessaging();
+  const {
+    processPrompt,
+    cancelPrompt,
+    getSessionInfo,
+    respondToConfirmation,
+    clearPreview,
+    progress,
+    confirmation,
+    isLoading
+  } = useBackgroundMessaging();
 
   /**
-   * Handle prompt execution
+   * Load the active tab's session so the user can choose to continue it
    */
-  const handleExecute = async () => {
+  const refreshSession = async () => {
+    try {
+      const response = await getSessionInfo();
+      setSession(response.session);
+    } catch (error) {
+      console.error('Session info error:', error);
+    }
+  };
+
+  useEffect(() => {
+    refreshSession();
+  }, []);
+
+  /**
+   * Handle prompt execution, or a dry run that only previews the planned commands
+   * @param {boolean} dryRun - Highlight targets instead of executing
+   */
+  const runPrompt = async (dryRun = false) => {
     if (!prompt.trim()) return;
 
     setIsProcessing(true);
+    setPlan(null);
     
     try {
       // Save to history
       addToHistory(prompt.trim());
 
       // Process the prompt (progress will be tracked via the hook)
-      const response = await processPrompt(prompt.trim(), settings);
+      const response = await processPrompt(prompt.trim(), {
+        ...settings,
+        resetSession: startNewSession,
+        dryRun,
+        // A run may stop to ask the user about a step, which can take longer than any fixed
+        // timeout; the background gives up on unanswered questions itself
+        timeout: dryRun ? undefined : 0
+      });
       
-      if (response.error) {
+      if (response.dryRun) {
+        // Keep the prompt so the previewed plan can be run as-is
+        setPlan(response.plan || []);
+        setStatus({ message: response.completionMessage, type: 'info' });
+      } else if (response.error) {
         setStatus({ message: `Error: ${response.error}`, type: 'error' });
+      } else if (response.cancelled) {
+        setStatus({ message: 'Run cancelled', type: 'info' });
+      } else if (response.declined) {
+        setStatus({ message: response.completionMessage, type: 'info' });
+      } else if (response.budgetExceeded) {
+        setStatus({ message: response.completionMessage, type: 'error' });
       } else {
         setStatus({ message: 'Command executed successfully!', type: 'success' });
         setPrompt('');
@@ -49,6 +100,12 @@ const PromptView = ({ settings }) => {
       setStatus({ message: `Error: ${error.message}`, type: 'error' });
     } finally {
       setIsProcessing(false);
+      setIsCancelling(false);
+      // A preview leaves the session untouched, so the choice still applies to the real run
+      if (!dryRun) {
+        setStartNewSession(false);
+      }
+      refreshSession();
       
       // Clear status after 3 seconds (only clear success/error messages, not progress updates)
       if (progress.stage === 'complete' || progress.stage === 'error') {
@@ -59,6 +116,48 @@ const PromptView = ({ settings }) => {
     }
   };
 
+  const handleExecute = () => runPrompt(false);
+  const handlePreview = () => runPrompt(true);
+
+  /**
+   * Handle clearing the dry-run highlights and plan
+   */
+  const handleClearPreview = async () => {
+    setPlan(null);
+    try {
+      await clearPreview();
+    } catch (error) {
+      console.error('Clear preview error:', error);
+    }
+  };
+
+  /**
+   * Handle stopping the running automation
+   */
+  const handleStop = async () => {
+    setIsCancelling(true);
+    
+    try {
+      await cancelPrompt();
+    } catch (error) {
+      console.error('Cancel error:', error);
+      setStatus({ message: `Error: ${error.message}`, type: 'error' });
+      setIsCancelling(false);
+    }
+  };
+
+  /**
+   * Handle the user's decisions on the planned steps
+   */
+  const handleConfirm = async (decisions) => {
+    try {
+      await respondToConfirmation(decisions);
+    } catch (error) {
+      console.error('Confirmation error:', error);
+      setStatus({ message: `Error: ${error.message}`, type: 'error' });
+    }
+  };
+
   /**
    * Handle selecting a prompt from history
    */
@@ -138,12 +237,68 @@ const PromptView = ({ settings }) => {
           {showHistory ? renderHistoryView() : renderPromptInput()}
         </div>
 
+        {/* Session controls - shown when the tab has a session to continue */}
+        {session?.hasSession && !isProcessing && (
+          <div className="mt-3 flex items-center justify-between gap-2">
+            <div className="text-xs text-text-tertiary overflow-hidden text-ellipsis whitespace-nowrap">
+              {startNewSession
+                ? 'Next prompt starts a new session'
+                : `Continuing "${session.initialPrompt}" (${session.actionCount} actions)`}
+            </div>
+            <div className="flex gap-1 flex-shrink-0">
+              <Button
+                variant={startNewSession ? 'ghost' : 'secondary'}
+                className="text-xs"
+                onClick={() => setStartNewSession(false)}
+                icon={<FiCornerDownRight size={14} />}
+              >
+                Continue session
+              </Button>
+              <Button
+                variant={startNewSession ? 'secondary' : 'ghost'}
+                className="text-xs"
+                onClick={() => setStartNewSession(true)}
+                icon={<FiPlus size={14} />}
+              >
+                New session
+              </Button>
+            </div>
+          </div>
+        )}
+
         {/* Progress indicator - shown during processing */}
         {isProcessing && (
           <ProgressIndicator 
             stage={progress.stage}
             message={progress.message}
             steps={progress.steps}
+            budget={progress.budget}
+            subStep={progress.subStep}
+            plannedCommands={progress.plannedCommands}
+          />
+        )}
+
+        {/* Plan preview - shown after a dry run */}
+        {plan && !isProcessing && (
+          <PlanPreview
+            plan={plan}
+            onClear={handleClearPreview}
+          />
+        )}
+
+        {/* Step confirmation - shown when the run waits for the user to review commands */}
+        {isProcessing && confirmation?.kind === 'steps' && (
+          <StepConfirmation
+            confirmation={confirmation}
+            onSubmit={handleConfirm}
+          />
+        )}
+
+        {/* Sensitive action - shown when a risky step needs explicit permission */}
+        {isProcessing && confirmation?.kind === 'sensitive' && (
+          <SensitiveActionPrompt
+            confirmation={confirmation}
+            onSubmit={handleConfirm}
           />
         )}
         
@@ -158,6 +313,27 @@ const PromptView = ({ settings }) => {
             </Button>
           )}
           
+          {isProcessing && (
+            <Button
+              variant="danger"
+              onClick={handleStop}
+              disabled={isCancelling}
+              icon={<FiSquare size={16} />}
+            >
+              {isCancelling ? 'Stopping...' : 'Stop'}
+            </Button>
+          )}
+          
+          <Button
+            variant="secondary"
+            onClick={handlePreview}
+            disabled={isProcessing || !prompt.trim()}
+            icon={<FiEye size={16} />}
+            aria-label="Preview the planned steps without running them"
+          >
+            Preview
+          </Button>
+          
           <Button
             variant="primary"
             onClick={handleExecute}
@@ -183,6 +359,8 @@ const PromptView = ({ settings }) => {
         <p>
           {settings.provider === 'groq' && `Model: ${settings.providers.groq.model}`}
           {settings.provider === 'openai' && `Model: ${settings.providers.openai?.model || 'gpt-4o'}`}
+          {settings.provider === 'claude' && `Model: ${settings.providers.claude?.model || 'claude-3-7-sonnet-20250219'}`}
+          {settings.provider === 'custom' && `Model: ${settings.providers.custom?.model || 'not set'} @ ${settings.providers.custom?.baseUrl || 'no URL'}`}
         </p>
       </div>
     </div>
@@ -0,0 +1,56 @@
+import React from 'react';
+import { FiAlertTriangle, FiCheck, FiX } from 'react-icons/fi';
+import { Button } from '../../src/shared/components/ui';
+
+/**
+ * Sensitive action prompt component
+ * Asks the user to explicitly allow a step that looks like a purchase,
+ * deletion, submission or transfer, or that goes to an unexpected site, before it runs
+ */
+const SensitiveActionPrompt = ({ confirmation, onSubmit }) => {
+  const [step] = confirmation.steps;
+
+  return (
+    <div className="mt-3 border border-warning rounded-md bg-surface">
+      <div className="px-3 py-2 border-b border-divider flex items-center gap-2 text-sm font-medium text-warning">
+        <FiAlertTriangle size={16} />
+        <span>{confirmation.title || 'This step may have consequences'}</span>
+      </div>
+
+      <div className="p-3">
+        <div className="text-sm break-words">{step.summary}</div>
+        {step.targetText && (
+          <div className="text-xs text-text-secondary mt-1">Target: "{step.targetText}"</div>
+        )}
+        {step.reasons?.length > 0 && (
+          <ul className="mt-2 pl-4 list-disc text-xs text-text-tertiary">
+            {step.reasons.map(reason => (
+              <li key={reason}>{reason}</li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="px-3 py-2 border-t border-divider flex justify-end gap-2">
+        <Button
+          variant="secondary"
+          className="text-xs"
+          onClick={() => onSubmit([{ decision: 'reject' }])}
+          icon={<FiX size={14} />}
+        >
+          Decline
+        </Button>
+        <Button
+          variant="danger"
+          className="text-xs"
+          onClick={() => onSubmit([{ decision: 'approve' }])}
+          icon={<FiCheck size={14} />}
+        >
+          Allow this step
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default SensitiveActionPrompt;
@@ -1,8 +1,9 @@
 import React, { useState } from 'react';
 import { FiSave } from 'react-icons/fi';
 import { Button, Card, StatusMessage } from '../../src/shared/components/ui';
-import { ProviderSelector, GroqSettings, OpenAISettings, DeveloperSettings } from '../../src/shared/components/settings';
+import { ProviderSelector, GroqSettings, OpenAISettings, ClaudeSettings, CustomSettings, AutomationSettings, SafetySettings, DeveloperSettings } from '../../src/shared/components/settings';
 import { saveSettings, useBackgroundMessaging } from '../../src/shared/hooks';
+import { config } from '../../src/shared/utils';
 
 /**
  * Settings view component for configuring providers
@@ -10,7 +11,9 @@ import { saveSettings, useBackgroundMessaging } from '../../src/shared/hooks';
 const SettingsView = ({ settings, setSettings, onClose }) => {
   const [localSettings, setLocalSettings] = useState({
     ...settings,
-    features: settings.features || { detailedApiLogging: false }
+    features: settings.features || { detailedApiLogging: false },
+    automation: { ...config.get('app.automation', {}), ...settings.automation },
+    safety: { ...config.get('app.safety', {}), ...settings.safety }
   });
   const [status, setStatus] = useState({ message: '', type: 'info' });
   const [isSaving, setIsSaving] = useState(false);
@@ -56,6 +59,32 @@ const SettingsView = ({ settings, setSettings, onClose }) => {
     }));
   };
 
+  /**
+   * Handle safety setting change
+   */
+  const handleSafetyChange = (key, value) => {
+    setLocalSettings(prev => ({
+      ...prev,
+      safety: {
+        ...prev.safety,
+        [key]: value
+      }
+    }));
+  };
+
+  /**
+   * Handle automation limit change
+   */
+  const handleAutomationChange = (key, value) => {
+    setLocalSettings(prev => ({
+      ...prev,
+      automation: {
+        ...prev.automation,
+        [key]: value
+      }
+    }));
+  };
+
   /**
    * Handle settings save
    */
@@ -69,7 +98,9 @@ const SettingsView = ({ settings, setSettings, onClose }) => {
       await updateServiceConfig(
         localSettings.provider, 
         localSettings.providers[localSettings.provider],
-        localSettings.features
+        localSettings.features,
+        localSettings.automation,
+        localSettings.safety
       );
       
       // Update parent component state
@@ -94,9 +125,13 @@ const SettingsView = ({ settings, setSettings, onClose }) => {
       const response = await testConnection(localSettings);
       
       if (response.success) {
-        setStatus({ message: 'Connection successful!', type: 'success' });
+        setStatus({ 
+          message: `Connection successful! ${response.model ? `${response.model} ` : ''}responded in ${response.latencyMs}ms`, 
+          type: 'success' 
+        });
       } else {
-        setStatus({ message: `Error: ${response.error || 'Unknown error'}`, type: 'error' });
+        const detail = response.detail && response.detail !== response.message ? ` (${response.detail})` : '';
+        setStatus({ message: `Error: ${response.message || 'Unknown error'}${detail}`, type: 'error' });
       }
     } catch (error) {
       setStatus({ message: `Error: ${error.message}`, type: 'error' });
@@ -122,6 +157,20 @@ const SettingsView = ({ settings, setSettings, onClose }) => {
             onChange={(key, value) => handleSettingChange('openai', key, value)}
           />
         );
+      case 'claude':
+        return (
+          <ClaudeSettings
+            settings={localSettings.providers.claude || {}}
+            onChange={(key, value) => handleSettingChange('claude', key, value)}
+          />
+        );
+      case 'custom':
+        return (
+          <CustomSettings
+            settings={localSettings.providers.custom || {}}
+            onChange={(key, value) => handleSettingChange('custom', key, value)}
+          />
+        );
       default:
         return null;
     }
@@ -138,6 +187,18 @@ const SettingsView = ({ settings, setSettings, onClose }) => {
         <div className="mt-6">
           {renderProviderSettings()}
           
+          {/* Automation run limits */}
+          <AutomationSettings
+            settings={localSettings.automation}
+            onChange={handleAutomationChange}
+          />
+
+          {/* Sensitive-action guard */}
+          <SafetySettings
+            settings={localSettings.safety}
+            onChange={handleSafetyChange}
+          />
+          
           {/* Developer settings */}
           <DeveloperSettings 
             settings={localSettings.features} 
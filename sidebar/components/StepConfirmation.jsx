@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import { FiCheck, FiSkipForward, FiX, FiPlay } from 'react-icons/fi';
+import { clsx } from 'clsx';
+import { Button, InputField } from '../../src/shared/components/ui';
+
+/**
+ * Decisions a step can be given, with their button labels and icons
+ */
+const DECISIONS = [
+  { id: 'approve', label: 'Approve', icon: FiCheck },
+  { id: 'skip', label: 'Skip', icon: FiSkipForward },
+  { id: 'reject', label: 'Reject', icon: FiX }
+];
+
+/**
+ * Step confirmation component
+ * Lists the planned commands in plain language (numbered like their highlights
+ * on the page) and lets the user approve, edit, skip or reject each one
+ */
+const StepConfirmation = ({ confirmation, onSubmit }) => {
+  const [decisions, setDecisions] = useState([]);
+
+  // Every step starts approved with its planned value
+  useEffect(() => {
+    setDecisions(confirmation.steps.map(step => ({ decision: 'approve', value: step.value })));
+  }, [confirmation.id]);
+
+  const updateDecision = (index, changes) => {
+    setDecisions(prev => prev.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)));
+  };
+
+  const approvedCount = decisions.filter(entry => entry.decision === 'approve').length;
+
+  return (
+    <div className="mt-3 border border-border rounded-md bg-surface">
+      <div className="px-3 py-2 border-b border-divider text-sm font-medium">
+        Review {confirmation.steps.length} planned step{confirmation.steps.length === 1 ? '' : 's'}
+      </div>
+
+      <ol className="list-none p-0 m-0 max-h-72 overflow-auto">
+        {confirmation.steps.map((step, index) => {
+          const entry = decisions[index] || { decision: 'approve', value: step.value };
+
+          return (
+            <li key={step.index} className="p-3 border-b border-divider last:border-b-0">
+              <div className="flex items-start gap-2">
+                <span className="flex-shrink-0 w-5 h-5 rounded-full bg-primary text-white text-xs font-bold flex items-center justify-center">
+                  {index + 1}
+                </span>
+                <span className={clsx('text-sm break-words', entry.decision !== 'approve' && 'line-through text-text-tertiary')}>
+                  {step.summary}
+                </span>
+              </div>
+
+              {step.editable && entry.decision === 'approve' && (
+                <InputField
+                  id={`step-value-${confirmation.id}-${index}`}
+                  aria-label={`Value for step ${index + 1}`}
+                  value={entry.value ?? ''}
+                  onChange={(e) => updateDecision(index, { value: e.target.value })}
+                  containerClassName="mt-2 mb-0"
+                  className="text-sm"
+                />
+              )}
+
+              <div className="mt-2 flex gap-1">
+                {DECISIONS.map(({ id, label, icon: Icon }) => (
+                  <Button
+                    key={id}
+                    variant={entry.decision === id ? (id === 'reject' ? 'danger' : 'secondary') : 'ghost'}
+                    className="text-xs"
+                    onClick={() => updateDecision(index, { decision: id })}
+                    aria-pressed={entry.decision === id}
+                    icon={<Icon size={12} />}
+                  >
+                    {label}
+                  </Button>
+                ))}
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+
+      <div className="px-3 py-2 border-t border-divider flex justify-end gap-2">
+        <Button
+          variant="ghost"
+          className="text-xs"
+          onClick={() => onSubmit(confirmation.steps.map(() => ({ decision: 'reject' })))}
+          icon={<FiX size={14} />}
+        >
+          Reject all
+        </Button>
+        <Button
+          variant="primary"
+          className="text-xs"
+          onClick={() => onSubmit(decisions)}
+          icon={<FiPlay size={14} />}
+        >
+          {approvedCount > 0 ? `Run ${approvedCount} approved` : 'Continue'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default StepConfirmation;
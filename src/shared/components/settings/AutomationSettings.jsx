@@ -0,0 +1,83 @@
+import React from 'react';
+import { CheckField, InputField } from '../ui';
+
+/**
+ * Automation settings component for per-run limits, recovery and step confirmation
+ * A value of 0 disables the corresponding limit or recovery
+ */
+const AutomationSettings = ({ settings, onChange }) => {
+  const handleNumberChange = (key) => (e) => {
+    const value = parseInt(e.target.value, 10);
+    onChange(key, Number.isNaN(value) || value < 0 ? 0 : value);
+  };
+
+  return (
+    <div className="mt-4 border-t border-border pt-4">
+      <h3 className="text-sm font-medium mb-2">Run Limits</h3>
+
+      <InputField
+        id="automation-max-rounds"
+        label="Max continuation rounds"
+        type="number"
+        min="0"
+        value={settings.maxRounds ?? 0}
+        onChange={handleNumberChange('maxRounds')}
+      />
+
+      <InputField
+        id="automation-max-commands"
+        label="Max commands per run"
+        type="number"
+        min="0"
+        value={settings.maxCommands ?? 0}
+        onChange={handleNumberChange('maxCommands')}
+      />
+
+      <InputField
+        id="automation-max-llm-requests"
+        label="Max LLM requests per run"
+        type="number"
+        min="0"
+        value={settings.maxLlmRequests ?? 0}
+        onChange={handleNumberChange('maxLlmRequests')}
+      />
+
+      <InputField
+        id="automation-max-duration"
+        label="Max run time (seconds)"
+        type="number"
+        min="0"
+        value={settings.maxDurationSeconds ?? 0}
+        onChange={handleNumberChange('maxDurationSeconds')}
+      />
+
+      <InputField
+        id="automation-max-recovery-attempts"
+        label="Recovery attempts per failed command"
+        type="number"
+        min="0"
+        value={settings.maxRecoveryAttempts ?? 0}
+        onChange={handleNumberChange('maxRecoveryAttempts')}
+      />
+
+      <CheckField
+        id="automation-confirm-steps"
+        label="Confirm each step"
+        description="Review, edit, skip or reject every planned command before it runs"
+        checked={Boolean(settings.confirmSteps)}
+        onChange={(checked) => onChange('confirmSteps', checked)}
+      />
+
+      <CheckField
+        id="automation-execute-while-streaming"
+        label="Run steps while the reply streams in"
+        description="Start each command as soon as the model finishes writing it. Not used when confirming each step"
+        checked={Boolean(settings.executeWhileStreaming)}
+        onChange={(checked) => onChange('executeWhileStreaming', checked)}
+        disabled={Boolean(settings.confirmSteps)}
+      />
+    </div>
+  );
+};
+
+export default AutomationSettings;
@@ -0,0 +1,81 @@
+import React from 'react';
+import { FiKey, FiServer } from 'react-icons/fi';
+import { InputField, RangeField, TextareaField, CheckField } from '../ui';
+
+/**
+ * Custom OpenAI-compatible endpoint settings component
+ */
+const CustomSettings = ({ settings, onChange }) => {
+  return (
+    <div>
+      <h3 className="text-lg font-medium text-text-primary mb-4">
+        Custom Endpoint Settings
+      </h3>
+
+      <InputField
+        id="custom-base-url"
+        label="Base URL"
+        type="url"
+        placeholder="http://localhost:8000/v1"
+        value={settings.baseUrl || ''}
+        onChange={(e) => onChange('baseUrl', e.target.value)}
+        icon={<FiServer size={16} />}
+      />
+
+      <InputField
+        id="custom-api-key"
+        label="API Key (optional)"
+        type="password"
+        placeholder="Leave empty if the server needs no key"
+        value={settings.apiKey || ''}
+        onChange={(e) => onChange('apiKey', e.target.value)}
+        icon={<FiKey size={16} />}
+      />
+
+      <InputField
+        id="custom-model"
+        label="Model"
+        type="text"
+        placeholder="e.g. llama3.1:8b"
+        value={settings.model || ''}
+        onChange={(e) => onChange('model', e.target.value)}
+      />
+
+      <TextareaField
+        id="custom-extra-headers"
+        label="Extra Headers"
+        placeholder={'One per line, e.g.\nX-Org-Id: my-team'}
+        value={settings.extraHeaders || ''}
+        onChange={(e) => onChange('extraHeaders', e.target.value)}
+      />
+
+      <CheckField
+        id="custom-response-format"
+        label="Request JSON Mode"
+        description="Send response_format: json_object. Disable for servers that reject it"
+        checked={settings.useResponseFormat || false}
+        onChange={(checked) => onChange('useResponseFormat', checked)}
+      />
+
+      <CheckField
+        id="custom-tool-calling"
+        label="Use Tool Calling"
+        description="Offer each command as a function tool. Falls back to JSON text if the server rejects tools"
+        checked={settings.useToolCalling || false}
+        onChange={(checked) => onChange('useToolCalling', checked)}
+      />
+
+      <RangeField
+        id="custom-temperature"
+        label="Temperature"
+        min="0"
+        max="1"
+        step="0.1"
+        value={settings.temperature || 0.3}
+        onChange={(e) => onChange('temperature', parseFloat(e.target.value))}
+      />
+    </div>
+  );
+};
+
+export default CustomSettings;
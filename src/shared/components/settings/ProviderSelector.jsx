@@ -7,7 +7,9 @@ import { SelectField } from '../ui';
 const ProviderSelector = ({ selectedProvider, onChange }) => {
   const options = [
     { value: 'groq', label: 'Groq' },
-    { value: 'openai', label: 'OpenAI' }
+    { value: 'openai', label: 'OpenAI' },
+    { value: 'claude', label: 'Claude' },
+    { value: 'custom', label: 'Custom (OpenAI-compatible)' }
   ];
   
   return (
@@ -0,0 +1,114 @@
+import React from 'react';
+import { Button, CheckField, TextareaField } from '../ui';
+import { config } from '../../utils';
+
+/**
+ * Safety settings component for the sensitive-action guard, domain policy and redaction
+ * Patterns and domains are edited one per line
+ */
+const SafetySettings = ({ settings, onChange }) => {
+  const patterns = settings.riskPatterns || [];
+
+  const handleListChange = (key) => (e) => {
+    onChange(key, e.target.value.split('\n'));
+  };
+
+  const handleReset = (...keys) => () => {
+    keys.forEach(key => onChange(key, config.get(`app.safety.${key}`, [])));
+  };
+
+  return (
+    <div className="mt-4 border-t border-border pt-4">
+      <h3 className="text-sm font-medium mb-2">Safety</h3>
+
+      <CheckField
+        id="safety-guard-sensitive-actions"
+        label="Confirm sensitive actions"
+        description="Ask before clicks and submissions that look like purchases, deletions, messages or transfers"
+        checked={Boolean(settings.guardSensitiveActions)}
+        onChange={(checked) => onChange('guardSensitiveActions', checked)}
+      />
+
+      <TextareaField
+        id="safety-risk-patterns"
+        label="Risky action patterns (one regular expression per line, case-insensitive)"
+        value={patterns.join('\n')}
+        onChange={handleListChange('riskPatterns')}
+        disabled={!settings.guardSensitiveActions}
+        rows={6}
+        className="font-mono text-xs"
+      />
+
+      <TextareaField
+        id="safety-button-risk-patterns"
+        label="Risky button patterns (matched only against buttons and submit controls)"
+        value={(settings.buttonRiskPatterns || []).join('\n')}
+        onChange={handleListChange('buttonRiskPatterns')}
+        disabled={!settings.guardSensitiveActions}
+        rows={3}
+        className="font-mono text-xs"
+      />
+
+      <div className="flex justify-end">
+        <Button
+          variant="ghost"
+          className="text-xs"
+          onClick={handleReset('riskPatterns', 'buttonRiskPatterns')}
+          disabled={!settings.guardSensitiveActions}
+        >
+          Reset to defaults
+        </Button>
+      </div>
+
+      <TextareaField
+        id="safety-allowed-domains"
+        label="Allowed domains (one per line; leave empty to allow all)"
+        placeholder={'staging.example.com\n*.internal.example.com\n/^https:\\/\\/qa-\\d+\\.example\\.com/'}
+        value={(settings.allowedDomains || []).join('\n')}
+        onChange={handleListChange('allowedDomains')}
+        rows={3}
+        className="font-mono text-xs"
+      />
+
+      <TextareaField
+        id="safety-blocked-domains"
+        label="Blocked domains (one per line; checked before allowed domains)"
+        placeholder={'*.bank.com\nadmin.example.com\nconsole.aws.amazon.com'}
+        value={(settings.blockedDomains || []).join('\n')}
+        onChange={handleListChange('blockedDomains')}
+        rows={3}
+        className="font-mono text-xs"
+      />
+
+      <p className="text-xs text-text-tertiary">
+        A domain also covers its subdomains. Use * as a wildcard, a URL prefix such as
+        https://example.com/admin/*, or /regex/ to match the full URL.
+      </p>
+
+      <TextareaField
+        id="safety-redaction-patterns"
+        label="Personal data to hide from the model (one regular expression per line, case-insensitive)"
+        value={(settings.redactionPatterns || []).join('\n')}
+        onChange={handleListChange('redactionPatterns')}
+        rows={4}
+        className="font-mono text-xs"
+      />
+
+      <div className="flex items-start justify-between gap-2">
+        <p className="text-xs text-text-tertiary">
+          Matches are masked in page text and sent as {'{{secret_n}}'} placeholders from your prompts.
+          Password, card, ID and one-time code fields are always hidden.
+        </p>
+        <Button
+          variant="ghost"
+          className="text-xs flex-shrink-0"
+          onClick={handleReset('redactionPatterns')}
+        >
+          Reset to defaults
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default SafetySettings;
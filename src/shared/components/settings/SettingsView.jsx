@@ -1,7 +1,8 @@
 import React, { useState } from 'react';
 import { FiSave } from 'react-icons/fi';
 import { Button, Card, StatusMessage } from '../ui';
-import { ProviderSelector, GroqSettings, OpenAISettings, DeveloperSettings } from '.';
+import { config } from '../../utils';
+import { ProviderSelector, GroqSettings, OpenAISettings, ClaudeSettings, CustomSettings, AutomationSettings, SafetySettings, DeveloperSettings } from '.';
 
 /**
  * Settings view component for configuring providers
@@ -9,7 +10,9 @@ import { ProviderSelector, GroqSettings, OpenAISettings, DeveloperSettings } fro
 const SettingsView = ({ settings, onSave, onClose, serviceTester }) => {
   const [localSettings, setLocalSettings] = useState({
     ...settings,
-    features: settings.features || { detailedApiLogging: false }
+    features: settings.features || { detailedApiLogging: false },
+    automation: { ...config.get('app.automation', {}), ...settings.automation },
+    safety: { ...config.get('app.safety', {}), ...settings.safety }
   });
   const [status, setStatus] = useState({ message: '', type: 'info' });
   const [isSaving, setIsSaving] = useState(false);
@@ -53,6 +56,32 @@ const SettingsView = ({ settings, onSave, onClose, serviceTester }) => {
     }));
   };
 
+  /**
+   * Handle safety setting change
+   */
+  const handleSafetyChange = (key, value) => {
+    setLocalSettings(prev => ({
+      ...prev,
+      safety: {
+        ...prev.safety,
+        [key]: value
+      }
+    }));
+  };
+
+  /**
+   * Handle automation limit change
+   */
+  const handleAutomationChange = (key, value) => {
+    setLocalSettings(prev => ({
+      ...prev,
+      automation: {
+        ...prev.automation,
+        [key]: value
+      }
+    }));
+  };
+
   /**
    * Handle settings save
    */
@@ -88,7 +117,12 @@ const SettingsView = ({ settings, onSave, onClose, serviceTester }) => {
     const provider = settings.provider;
     const config = settings.providers[provider];
     
-    if (!config.apiKey) {
+    // Self-hosted endpoints may not need a key, but they do need a URL
+    if (provider === 'custom') {
+      if (!config.baseUrl) {
+        throw new Error('Base URL is required for a custom endpoint');
+      }
+    } else if (!config.apiKey) {
       throw new Error(`API key is required for ${provider}`);
     }
     
@@ -98,10 +132,18 @@ const SettingsView = ({ settings, onSave, onClose, serviceTester }) => {
         type: 'info'
       });
       
-      await serviceTester({ provider, config });
+      const result = await serviceTester({ provider, config });
+      
+      // Testers report failures either by throwing or with a structured result
+      if (result && result.success === false) {
+        const detail = result.detail && result.detail !== result.message ? ` (${result.detail})` : '';
+        throw new Error(`${result.message || 'Unknown error'}${detail}`);
+      }
       
       setStatus({
-        message: `Connection to ${provider} successful!`,
+        message: result?.latencyMs !== undefined
+          ? `Connection to ${provider} successful! Responded in ${result.latencyMs}ms`
+          : `Connection to ${provider} successful!`,
         type: 'success'
       });
       
@@ -132,6 +174,10 @@ const SettingsView = ({ settings, onSave, onClose, serviceTester }) => {
         return <GroqSettings settings={providerSettings} onChange={handleChange} />;
       case 'openai':
         return <OpenAISettings settings={providerSettings} onChange={handleChange} />;
+      case 'claude':
+        return <ClaudeSettings settings={providerSettings} onChange={handleChange} />;
+      case 'custom':
+        return <CustomSettings settings={providerSettings} onChange={handleChange} />;
       default:
         return <div>No settings available for {provider}</div>;
     }
@@ -146,6 +192,18 @@ const SettingsView = ({ settings, onSave, onClose, serviceTester }) => {
       
       {renderProviderSettings()}
       
+      {/* Automation run limits */}
+      <AutomationSettings
+        settings={localSettings.automation}
+        onChange={handleAutomationChange}
+      />
+
+      {/* Sensitive-action guard */}
+      <SafetySettings
+        settings={localSettings.safety}
+        onChange={handleSafetyChange}
+      />
+      
       {/* Developer settings for advanced configuration */}
       <DeveloperSettings 
         settings={localSettings.features} 
@@ -1,5 +1,9 @@
+export { default as AutomationSettings } from './AutomationSettings';
+export { default as ClaudeSettings } from './ClaudeSettings';
+export { default as CustomSettings } from './CustomSettings';
 export { default as DeveloperSettings } from './DeveloperSettings';
 export { default as GroqSettings } from './GroqSettings';
 export { default as OpenAISettings } from './OpenAISettings';
 export { default as ProviderSelector } from './ProviderSelector';
+export { default as SafetySettings } from './SafetySettings';
 export { default as SettingsView } from './SettingsView';
\ No newline at end of file
@@ -11,10 +11,25 @@ import { clsx } from 'clsx';
  * - processing: LLM processing the request
  * - executing: Executing commands on the page
  * - complete: All steps completed
+ * 
+ * Terminal stages outside the step list:
+ * - cancelled: The run was stopped by the user
+ * - budget_exceeded: The run hit one of its configured limits
+ * 
+ * When a budget is provided, the current round and command count are shown
+ * against their limits (e.g. "Round 3/10").
+ * 
+ * A subStep describes work nested inside the current stage, such as a
+ * recovery attempt after a failed command or steps awaiting confirmation.
+ * 
+ * While a reply streams in, plannedCommands lists the commands written so far.
  */
 const ProgressIndicator = ({
   stage = 'preparing',
   message = '',
+  budget,
+  subStep,
+  plannedCommands = [],
   className,
   steps = [
     { id: 'preparing', label: 'Preparing' },
@@ -40,8 +55,18 @@ const ProgressIndicator = ({
     return index >= 0 ? index : 0; // Default to first step if not found
   };
 
-  const currentIndex = getStageIndex(stage);
-  const currentStep = displayedSteps[currentIndex] || displayedSteps[0];
+  // Terminal stages that are not part of the step list
+  const terminalSteps = {
+    cancelled: { id: 'cancelled', label: 'Cancelled' },
+    budget_exceeded: { id: 'budget_exceeded', label: 'Limit Reached' }
+  };
+  
+  const terminalStep = terminalSteps[stage];
+  const currentIndex = terminalStep ? 0 : getStageIndex(stage);
+  const currentStep = terminalStep || displayedSteps[currentIndex] || displayedSteps[0];
+  
+  // Format a usage counter, omitting the limit when it is disabled
+  const formatUsage = (used, max) => (max > 0 ? `${used}/${max}` : `${used}`);
 
   return (
     <div className={clsx('my-4 px-1', className)}>
@@ -53,6 +78,7 @@ const ProgressIndicator = ({
           <div className={clsx(
             'w-2 h-2 rounded-full mr-3',
             stage === 'error' ? 'bg-error' : 
+            stage === 'cancelled' || stage === 'budget_exceeded' ? 'bg-warning' :
             stage === 'complete' ? 'bg-success' : 'bg-primary animate-pulse'
           )} />
           
@@ -62,11 +88,49 @@ const ProgressIndicator = ({
           </div>
         </div>
         
+        {/* Run budget usage */}
+        {budget && budget.round > 0 && (
+          <div className="mb-2 text-center text-xs text-text-tertiary">
+            Round {formatUsage(budget.round, budget.maxRounds)}
+            {' · '}
+            {formatUsage(budget.commands, budget.maxCommands)} commands
+            {' · '}
+            {formatUsage(budget.llmRequests, budget.maxLlmRequests)} requests
+          </div>
+        )}
+        
         {/* Current step message */}
         <div className="text-center text-text-secondary text-sm font-light relative min-h-8">
           {message || currentStep?.description || currentStep?.label || ""}
         </div>
         
+        {/* Nested sub-step, e.g. a recovery attempt */}
+        {subStep?.type === 'recovery' && (
+          <div className="mt-2 flex items-start justify-center text-xs text-warning">
+            <div className="w-1.5 h-1.5 rounded-full bg-warning animate-pulse mr-2 mt-1 flex-shrink-0" />
+            <span>
+              Recovery {subStep.attempt}/{subStep.maxAttempts}: {subStep.action} failed
+              {subStep.error ? ` (${subStep.error})` : ''}
+            </span>
+          </div>
+        )}
+        
+        {subStep?.type === 'confirmation' && (
+          <div className="mt-2 flex items-start justify-center text-xs text-primary">
+            <div className="w-1.5 h-1.5 rounded-full bg-primary animate-pulse mr-2 mt-1 flex-shrink-0" />
+            <span>Waiting for you to review {subStep.count} planned step{subStep.count === 1 ? '' : 's'}</span>
+          </div>
+        )}
+        
+        {/* Commands planned so far by a streaming reply */}
+        {stage === 'processing' && plannedCommands.length > 0 && (
+          <ol className="mt-3 pl-5 text-xs text-text-secondary list-decimal max-h-32 overflow-auto">
+            {plannedCommands.map((summary, index) => (
+              <li key={index} className="mb-1 last:mb-0 break-words">{summary}</li>
+            ))}
+          </ol>
+        )}
+        
         {/* Previous completed steps */}
         {currentIndex > 0 && (
           <div className="mt-4 pt-3 border-t border-border/30">
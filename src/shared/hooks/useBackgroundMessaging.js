@@ -1,4 +1,4 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
 
 /**
  * Enhanced hook for communicating with the extension's background script
@@ -19,13 +19,28 @@ export const useBackgroundMessaging = () => {
       { id: 'complete', label: 'Complete' }
     ]
   });
+  // Planned steps the background is waiting for the user to confirm
+  const [confirmation, setConfirmation] = useState(null);
+  // Tab the sidebar's current run belongs to; runs in other tabs report their own progress
+  const runTabIdRef = useRef(null);
 
   /**
-   * Listen for progress updates from the background script
+   * Listen for progress updates and step confirmations from the background script
    */
   useEffect(() => {
     const progressListener = (message) => {
+      if (message.action === 'confirmSteps' && message.confirmation) {
+        if (runTabIdRef.current === null || message.confirmation.tabId === runTabIdRef.current) {
+          setConfirmation(message.confirmation);
+        }
+        return;
+      }
+      
       if (message.action === 'progressUpdate' && message.progress) {
+        const { tabId } = message.progress;
+        if (tabId !== undefined && runTabIdRef.current !== null && tabId !== runTabIdRef.current) {
+          return;
+        }
         setProgress(message.progress);
       }
     };
@@ -122,13 +137,34 @@ export const useBackgroundMessaging = () => {
               // Success!
               setIsLoading(false);
               
-              // Set complete progress for successful requests
+              // Set final progress for finished requests
               if (action === 'processPrompt') {
-                setProgress({
-                  stage: 'complete',
-                  message: response.completionMessage || 'Completed successfully',
-                  progress: 100
-                });
+                if (response.cancelled) {
+                  setProgress({
+                    stage: 'cancelled',
+                    message: response.completionMessage || 'Run cancelled',
+                    progress: 0
+                  });
+                } else if (response.declined) {
+                  setProgress({
+                    stage: 'declined',
+                    message: response.completionMessage || 'Run stopped',
+                    progress: 0
+                  });
+                } else if (response.budgetExceeded) {
+                  setProgress(prev => ({
+                    stage: 'budget_exceeded',
+                    message: response.completionMessage || 'Run limit reached',
+                    progress: 0,
+                    budget: prev.budget
+                  }));
+                } else {
+                  setProgress({
+                    stage: 'complete',
+                    message: response.completionMessage || 'Completed successfully',
+                    progress: 100
+                  });
+                }
               }
               
               resolve(response);
@@ -171,19 +207,75 @@ export const useBackgroundMessaging = () => {
     });
   }, []);
 
+  /**
+   * Get the ID of the active tab in the sidebar's window
+   * @returns {Promise<number|null>} - Tab ID, or null if there is no active tab
+   */
+  const getActiveTabId = async () => {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    return tab?.id ?? null;
+  };
+
   /**
    * Process a prompt using the background script
+   * The run is bound to the tab that is active when it starts
    * @param {string} prompt - The prompt to process
-   * @param {object} options - Options including settings and retry options
+   * @param {object} options - Options including settings and retry options;
+   *   dryRun highlights the planned commands' targets instead of executing them
    * @returns {Promise<object>} - Response from background script
    */
-  const processPrompt = (prompt, options = {}) => {
+  const processPrompt = async (prompt, options = {}) => {
     const { settings, timeout, retries, ...rest } = options;
+    const tabId = await getActiveTabId();
+    runTabIdRef.current = tabId;
     return sendMessage(
       'processPrompt', 
-      { prompt, options: { settings, ...rest } },
-      { timeout: timeout || 60000, retries: retries || 1 } // LLM requests need longer timeout
-    );
+      { prompt, tabId, options: { settings, ...rest } },
+      { timeout: timeout ?? 60000, retries: retries || 1 } // LLM requests need longer timeout; 0 disables it
+    ).finally(() => setConfirmation(null));
+  };
+
+  /**
+   * Cancel the prompt that is currently running
+   * Targets the tab the run started in, even if the user switched tabs since
+   * @returns {Promise<object>} - Response from background script
+   */
+  const cancelPrompt = async () => {
+    const tabId = runTabIdRef.current ?? await getActiveTabId();
+    return sendMessage('cancelPrompt', { tabId });
+  };
+
+  /**
+   * Get a summary of the active tab's automation session
+   * @returns {Promise<object>} - Response with { session: { hasSession, initialPrompt, actionCount, updatedAt } }
+   */
+  const getSessionInfo = async () => {
+    const tabId = await getActiveTabId();
+    return sendMessage('getSessionInfo', { tabId });
+  };
+
+  /**
+   * Remove dry-run highlights from the active tab
+   * @returns {Promise<object>} - Response from background script
+   */
+  const clearPreview = async () => {
+    const tabId = await getActiveTabId();
+    return sendMessage('clearPreview', { tabId });
+  };
+
+  /**
+   * Answer the pending step confirmation
+   * @param {Array<object>} decisions - One { decision: 'approve'|'skip'|'reject', value } per step
+   * @returns {Promise<object>} - Response from background script
+   */
+  const respondToConfirmation = (decisions) => {
+    if (!confirmation) {
+      return Promise.resolve({ success: false });
+    }
+    
+    const { id } = confirmation;
+    setConfirmation(null);
+    return chrome.runtime.sendMessage({ action: 'confirmStepsResponse', id, decisions });
   };
 
   /**
@@ -200,10 +292,12 @@ export const useBackgroundMessaging = () => {
    * @param {string} provider - Provider name
    * @param {object} config - Provider configuration
    * @param {object} features - Feature flags
+   * @param {object} automation - Automation run limits
+   * @param {object} safety - Safety guard settings
    * @returns {Promise<object>} - Response from background script
    */
-  const updateServiceConfig = (provider, config, features) => {
-    return sendMessage('updateServiceConfig', { provider, config, features });
+  const updateServiceConfig = (provider, config, features, automation, safety) => {
+    return sendMessage('updateServiceConfig', { provider, config, features, automation, safety });
   };
 
   /**
@@ -218,12 +312,17 @@ export const useBackgroundMessaging = () => {
   return {
     sendMessage,
     processPrompt,
+    cancelPrompt,
+    getSessionInfo,
+    respondToConfirmation,
+    clearPreview,
     testConnection,
     updateServiceConfig,
     getPageSnapshot,
     isLoading,
     error,
-    progress
+    progress,
+    confirmation
   };
 };
 
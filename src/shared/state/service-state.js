@@ -17,6 +17,20 @@ const defaultConfigurations = {
     model: 'gpt-4o',
     temperature: 0.3,
     maxTokens: 1024
+  },
+  claude: {
+    model: 'claude-3-7-sonnet-20250219',
+    temperature: 0.3,
+    maxTokens: 1024
+  },
+  custom: {
+    baseUrl: 'http://localhost:8000/v1',
+    model: '',
+    temperature: 0.3,
+    maxTokens: 1024,
+    extraHeaders: '',
+    useResponseFormat: false,
+    useToolCalling: false
   }
 };
 
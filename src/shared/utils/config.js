@@ -14,12 +14,30 @@ const serviceDefaults = {
       temperature: 0.3,
       maxTokens: 1024,
       apiEndpoint: 'https://api.groq.com/openai/v1/chat/completions',
+      useToolCalling: true,
     },
     openai: {
       model: 'gpt-4o',
       temperature: 0.3,
       maxTokens: 1024,
       apiEndpoint: 'https://api.openai.com/v1/chat/completions',
+      useToolCalling: true,
+    },
+    claude: {
+      model: 'claude-3-7-sonnet-20250219',
+      temperature: 0.3,
+      maxTokens: 1024,
+      apiEndpoint: 'https://api.anthropic.com/v1/messages',
+      useToolCalling: true,
+    },
+    custom: {
+      baseUrl: 'http://localhost:8000/v1',
+      model: '',
+      temperature: 0.3,
+      maxTokens: 1024,
+      extraHeaders: '',
+      useResponseFormat: false,
+      useToolCalling: false,
     },
   },
   
@@ -104,6 +122,46 @@ const appDefaults = {
     detailedApiLogging: true, // Enable logging of detailed API requests and responses
   },
   
+  // Automation run limits (0 disables a limit)
+  automation: {
+    maxRounds: 10,
+    maxCommands: 50,
+    maxLlmRequests: 20,
+    maxDurationSeconds: 300,
+    maxRecoveryAttempts: 2, // Recovery prompts after a failed command
+    confirmSteps: false, // Ask the user to approve each command before it runs
+    executeWhileStreaming: false, // Run commands as they stream in instead of after the full reply
+  },
+  
+  // Safety guards for automation runs
+  safety: {
+    guardSensitiveActions: true, // Ask before clicks that buy, delete, send or transfer
+    // Regular expressions (case-insensitive) matched against target text, descriptions and form actions
+    riskPatterns: [
+      '\\b(place|submit|confirm|complete)\\s+(my\\s+)?(order|purchase|payment|booking)\\b',
+      '\\b(buy|pay)\\b',
+      '\\bcheckout\\b',
+      '\\b(delete|remove|deactivate|close|cancel)\\s+(my\\s+|the\\s+|this\\s+)?(account|profile|subscription|repository|project|workspace|organization)\\b',
+      '\\b(transfer|wire|withdraw)\\b',
+    ],
+    // Matched only against the text of buttons and submit controls, where a single verb is enough
+    buttonRiskPatterns: [
+      '\\bsend\\b',
+      '\\bdelete\\b',
+      '\\b(publish|post)\\b',
+    ],
+    // Where automation may run: hostnames (example.com also covers subdomains), wildcards or /regex/
+    allowedDomains: [], // Empty allows every domain that is not blocked
+    blockedDomains: [],
+    // Personal data masked in page text and replaced with {{secret_n}} placeholders in prompts
+    redactionPatterns: [
+      '[A-Z0-9._%+-]+@[A-Z0-9.-]+\\.[A-Z]{2,}', // Email addresses
+      '\\b(?:\\d[ -]?){12,18}\\d\\b', // Card numbers
+      '(?:\\+\\d{1,3}[\\s.-]?)?\\(?\\d{3}\\)?[\\s.-]?\\d{3}[\\s.-]?\\d{4}\\b', // Phone numbers
+      '\\b\\d{3}-\\d{2}-\\d{4}\\b', // SSNs
+    ],
+  },
+  
   // Environment settings
   environment: {
     isDevelopment: process.env.NODE_ENV !== 'production',